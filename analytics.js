@@ -0,0 +1,329 @@
+const admin = require("firebase-admin");
+const { z } = require("zod");
+const { transactionMetrics } = require("./rollups");
+
+const DEFAULT_TIME_ZONE = "Africa/Nairobi";
+const ROLLUP_OFFSET_MS = 3 * 60 * 60 * 1000; // rollups are keyed by Nairobi day (UTC+3)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 3 * 366;
+const GRANULARITIES = ["day", "week", "month"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ * @param {string} tz - e.g. "Africa/Nairobi"
+ * @returns {boolean}
+ */
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} tz - IANA time zone
+ * @returns {Object} { year, month, day } (month is 1-12)
+ */
+function zonedDate(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return { year: get("year"), month: get("month"), day: get("day") };
+}
+
+/**
+ * UTC offset of a time zone at an instant
+ * @param {Date} date - The instant
+ * @param {string} tz - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function tzOffsetMs(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const wall = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a calendar day starts in a time zone (handles DST changes)
+ * @param {Object} ymd - { year, month, day }
+ * @param {string} tz - IANA time zone
+ * @returns {Date}
+ */
+function zonedMidnight({ year, month, day }, tz) {
+  const guess = Date.UTC(year, month - 1, day);
+  let result = guess - tzOffsetMs(new Date(guess), tz);
+  result = guess - tzOffsetMs(new Date(result), tz);
+  return new Date(result);
+}
+
+// Calendar arithmetic on { year, month, day } without time zones
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function dayKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function parseDayKey(key) {
+  const [year, month, day] = key.split("-").map((v) => parseInt(v, 10));
+  return { year, month, day };
+}
+
+/**
+ * First day of the bucket a calendar day falls in. Weeks start on Monday (ISO 8601).
+ * @param {Object} ymd - { year, month, day }
+ * @param {string} granularity - day, week or month
+ * @returns {Object} { year, month, day }
+ */
+function bucketStart(ymd, granularity) {
+  if (granularity === "month") return { year: ymd.year, month: ymd.month, day: 1 };
+  if (granularity === "week") {
+    const weekday = new Date(Date.UTC(ymd.year, ymd.month - 1, ymd.day)).getUTCDay(); // 0 = Sunday
+    return addDays(ymd, -((weekday + 6) % 7));
+  }
+  return ymd;
+}
+
+/**
+ * Label of the bucket a calendar day falls in: "2026-10" for months, the Monday for weeks, the day itself
+ * @param {Object} ymd - { year, month, day }
+ * @param {string} granularity - day, week or month
+ * @returns {string}
+ */
+function bucketKey(ymd, granularity) {
+  const start = bucketStart(ymd, granularity);
+  return granularity === "month" ? dayKey(start).slice(0, 7) : dayKey(start);
+}
+
+/**
+ * Turns { a: { b: 1 } } into { "a.b": 1 }, keeping numeric leaves only
+ * @param {Object} obj - Nested object
+ * @param {string} prefix - Path prefix
+ * @param {Object} out - Accumulator
+ * @returns {Object} Values keyed by dotted path
+ */
+function flatten(obj, prefix = "", out = {}) {
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "number") out[path] = (out[path] || 0) + value;
+    else if (value && typeof value === "object" && !value.toDate) flatten(value, path, out);
+  });
+  return out;
+}
+
+// Adds the values of one flat map into another
+function addFlat(target, flat) {
+  Object.entries(flat).forEach(([path, value]) => {
+    target[path] = (target[path] || 0) + value;
+  });
+  return target;
+}
+
+/**
+ * Collects the entries of a flat map under a prefix: pick(flat, "recycling.byWasteType") gives
+ * { PET: { kg, amount, ... }, ... }
+ * @param {Object} flat - Values keyed by dotted path
+ * @param {string} prefix - Map prefix
+ * @returns {Object} Nested by the next path segment
+ */
+function pick(flat, prefix) {
+  const out = {};
+  Object.entries(flat).forEach(([path, value]) => {
+    if (!path.startsWith(`${prefix}.`)) return;
+    const [key, ...rest] = path.slice(prefix.length + 1).split(".");
+    if (rest.length === 0) {
+      out[key] = value;
+    } else {
+      out[key] = typeof out[key] === "object" ? out[key] : {};
+      out[key][rest.join(".")] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Parses and validates the shared analytics query parameters
+ * @param {Object} query - Express req.query
+ * @param {Array} dimensions - groupBy values this route supports
+ * @returns {Object} { error } or { value: { startDay, endDay, start, end, granularity, tz, groupBy, ranged } }
+ */
+function parseAnalyticsQuery(query, dimensions = []) {
+  const dateParam = z.string().refine((v) => !isNaN(new Date(v).getTime()), "Invalid date");
+  const schema = z.object({
+    start: dateParam.optional(),
+    end: dateParam.optional(),
+    granularity: z.enum(GRANULARITIES).optional(),
+    tz: z.string().refine(isValidTimeZone, "Unknown time zone").optional(),
+    groupBy: z.string().optional(),
+  });
+  const parsed = schema.safeParse(query || {});
+  if (!parsed.success) return { error: parsed.error.issues[0].message };
+  const { start, end, granularity = "month", tz = DEFAULT_TIME_ZONE } = parsed.data;
+
+  const groupBy = (parsed.data.groupBy || "").split(",").map((g) => g.trim()).filter(Boolean);
+  const unsupported = groupBy.filter((g) => !dimensions.includes(g));
+  if (unsupported.length) {
+    return { error: `Unsupported groupBy: ${unsupported.join(", ")} (supported: ${dimensions.join(", ") || "none"})` };
+  }
+
+  // Dates are whole calendar days in tz; date-times are reduced to their day in tz
+  const toDay = (v) => (DATE_ONLY.test(v) ? parseDayKey(v) : zonedDate(new Date(v), tz));
+  const endDay = end ? toDay(end) : zonedDate(new Date(), tz);
+  let startDay;
+  if (start) {
+    startDay = toDay(start);
+  } else if (granularity === "month") {
+    const first = bucketStart(endDay, "month");
+    const back = new Date(Date.UTC(first.year, first.month - 1 - 11, 1));
+    startDay = { year: back.getUTCFullYear(), month: back.getUTCMonth() + 1, day: 1 };
+  } else if (granularity === "week") {
+    startDay = addDays(bucketStart(endDay, "week"), -7 * 11);
+  } else {
+    startDay = addDays(endDay, -29);
+  }
+  const days = (Date.UTC(endDay.year, endDay.month - 1, endDay.day) - Date.UTC(startDay.year, startDay.month - 1, startDay.day)) / DAY_MS;
+  if (days < 0) return { error: "start must be before end" };
+  if (days > MAX_RANGE_DAYS) return { error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+
+  return {
+    value: {
+      startDay,
+      endDay,
+      start: zonedMidnight(startDay, tz),
+      end: zonedMidnight(addDays(endDay, 1), tz), // exclusive
+      granularity,
+      tz,
+      groupBy,
+      ranged: Boolean(start || end),
+    },
+  };
+}
+
+class AnalyticsService {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} options
+   * @param {Rollups} options.rollups - Rollups the day series is read from
+   */
+  constructor(db, { rollups }) {
+    this.rollups = rollups;
+    this.walletRef = db.collection("wallet_transactions");
+    this.usersRef = db.collection("users");
+  }
+
+  /**
+   * Whether a zone keeps the rollups' UTC+3 offset on every day of the range, so day rollups can be used
+   * @param {Object} q - Parsed query
+   * @returns {boolean}
+   */
+  rollupsAligned(q) {
+    for (let t = q.start.getTime(); t < q.end.getTime(); t += DAY_MS) {
+      if (tzOffsetMs(new Date(t), q.tz) !== ROLLUP_OFFSET_MS) return false;
+    }
+    return tzOffsetMs(new Date(q.end.getTime() - 1), q.tz) === ROLLUP_OFFSET_MS;
+  }
+
+  /**
+   * Empty buckets for every period in the range, in order
+   * @param {Object} q - Parsed query
+   * @returns {Map} bucket key -> { period, start, flat }
+   */
+  emptyBuckets(q) {
+    const buckets = new Map();
+    for (let d = q.startDay; dayKey(d) <= dayKey(q.endDay); d = addDays(d, 1)) {
+      const key = bucketKey(d, q.granularity);
+      if (!buckets.has(key)) {
+        buckets.set(key, { period: key, start: zonedMidnight(bucketStart(d, q.granularity), q.tz).toISOString(), flat: {} });
+      }
+    }
+    return buckets;
+  }
+
+  /**
+   * Aggregates metrics into time buckets. Uses the day rollups when the time zone lines up with them;
+   * otherwise reads the raw documents in the range.
+   * @param {Object} q - Parsed query (parseAnalyticsQuery)
+   * @param {Array} sources - Raw collections the metrics come from: "transactions" and/or "users"
+   * @param {Object} factors - Impact factors for raw transactions without stored impact
+   * @returns {Promise<Object>} { source, buckets: [{ period, start, flat }], totals }
+   */
+  async series(q, sources, factors = {}) {
+    const buckets = this.emptyBuckets(q);
+    const place = (date, flat) => {
+      if (date < q.start || date >= q.end) return;
+      const bucket = buckets.get(bucketKey(zonedDate(date, q.tz), q.granularity));
+      if (bucket) addFlat(bucket.flat, flat);
+    };
+    const aligned = this.rollupsAligned(q);
+    if (aligned) {
+      const days = await this.rollups.range("day", dayKey(q.startDay), dayKey(q.endDay));
+      days.forEach((data) => {
+        const bucket = buckets.get(bucketKey(parseDayKey(data.key), q.granularity));
+        if (bucket) addFlat(bucket.flat, flatten(data));
+      });
+    }
+    if (!aligned && sources.includes("users")) {
+      // Users have no queryable creation time, so this path reads every user
+      const snap = await this.usersRef.get();
+      snap.forEach((doc) => {
+        const d = doc.data();
+        const created = doc.createTime ? doc.createTime.toDate() : null;
+        if (created) place(created, { "users.new": 1 });
+        if (d.phoneVerified === true) {
+          const verifiedAt = d.lastVerified && d.lastVerified.toDate ? d.lastVerified.toDate() : created;
+          if (verifiedAt) place(verifiedAt, { "users.verified": 1 });
+        }
+      });
+    }
+    if (!aligned && sources.includes("transactions")) {
+      const snap = await this.walletRef
+        .where("timestamp", ">=", admin.firestore.Timestamp.fromDate(q.start))
+        .where("timestamp", "<", admin.firestore.Timestamp.fromDate(q.end))
+        .get();
+      snap.forEach((doc) => {
+        const d = doc.data();
+        if (d.type === "Admin Action") return; // notes, not money
+        place(d.timestamp.toDate(), transactionMetrics(d, factors));
+      });
+    }
+    const list = [...buckets.values()];
+    const totals = list.reduce((acc, b) => addFlat(acc, b.flat), {});
+    return { source: aligned ? "rollups" : "raw", buckets: list, totals };
+  }
+}
+
+/**
+ * Echo of the effective query for responses
+ * @param {Object} q - Parsed query
+ * @returns {Object}
+ */
+function describeQuery(q) {
+  return {
+    start: dayKey(q.startDay),
+    end: dayKey(q.endDay),
+    granularity: q.granularity,
+    tz: q.tz,
+    groupBy: q.groupBy,
+  };
+}
+
+module.exports = {
+  AnalyticsService,
+  parseAnalyticsQuery,
+  describeQuery,
+  flatten,
+  pick,
+  DEFAULT_TIME_ZONE,
+};
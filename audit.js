@@ -0,0 +1,281 @@
+const admin = require("firebase-admin");
+const { toCents } = require("./ledger");
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000; // stop well inside serverless time limits; the run resumes from its cursor
+const LEASE_MS = 2 * 60 * 1000; // one invocation works on an audit at a time
+
+// Wallet transaction types that move money. "Admin Action" records are notes, not money. A "Balance Correction"
+// moved walletBalance back to the history total, so counting it would reopen the drift it closed.
+const BALANCE_TRANSACTION_TYPES = ["Recycle Credit", "Withdraw", "Refund", "Fee", "Adjustment", "Points Redemption", "Referral Bonus"];
+const IGNORED_TRANSACTION_TYPES = ["Admin Action", "Balance Correction"];
+
+// Which side of a drift a repair treats as wrong: "history" adds an Adjustment for money walletBalance already holds,
+// "balance" moves walletBalance back to what the transaction history explains
+const REPAIR_TARGETS = ["history", "balance"];
+
+/**
+ * Converts an audit document into a JSON-friendly summary
+ * @param {FirebaseFirestore.DocumentSnapshot} snap - The audit document
+ * @returns {Object} The audit with ISO timestamps
+ */
+function serializeAudit(snap) {
+  const { leaseUntil, createdAt, updatedAt, completedAt, ...audit } = snap.data();
+  const iso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: snap.id,
+    ...audit,
+    createdAt: iso(createdAt),
+    updatedAt: iso(updatedAt),
+    completedAt: iso(completedAt),
+  };
+}
+
+class WalletAudit {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} options
+   * @param {Ledger} options.ledger - Ledger that repairs are posted through
+   */
+  constructor(db, { ledger }) {
+    this.db = db;
+    this.ledger = ledger;
+    this.usersRef = db.collection("users");
+    this.walletRef = db.collection("wallet_transactions");
+    this.auditsRef = db.collection("wallet_audits");
+  }
+
+  /**
+   * Recomputes a user's balance from their wallet transactions and compares it with walletBalance
+   * @param {string} userId - The user ID
+   * @param {FirebaseFirestore.Transaction} tx - Optional transaction to read within
+   * @returns {Promise<Object>} { userId, storedBalance, expectedBalance, drift, transactions, ignored, unknownTypes }
+   */
+  async checkUser(userId, tx = null) {
+    const userRef = this.usersRef.doc(userId);
+    const query = this.walletRef.where("userId", "==", userId);
+    const [userSnap, txSnap] = tx
+      ? [await tx.get(userRef), await tx.get(query)]
+      : await Promise.all([userRef.get(), query.get()]);
+    if (!userSnap.exists) throw new Error("User not found");
+
+    let cents = 0;
+    let counted = 0;
+    let ignored = 0;
+    const unknownTypes = {};
+    txSnap.forEach((doc) => {
+      const d = doc.data();
+      if (BALANCE_TRANSACTION_TYPES.includes(d.type)) {
+        cents += toCents(d.amount || 0);
+        counted++;
+      } else if (IGNORED_TRANSACTION_TYPES.includes(d.type)) {
+        ignored++;
+      } else {
+        unknownTypes[d.type || "(none)"] = (unknownTypes[d.type || "(none)"] || 0) + 1;
+      }
+    });
+    const storedCents = toCents(userSnap.data().walletBalance || 0);
+    return {
+      userId,
+      storedBalance: storedCents / 100,
+      expectedBalance: cents / 100,
+      drift: (storedCents - cents) / 100,
+      transactions: counted,
+      ignored,
+      unknownTypes,
+    };
+  }
+
+  /**
+   * Repairs a user's drift through the ledger. With correct "history" walletBalance is trusted and an Adjustment
+   * transaction records the missing amount; with correct "balance" walletBalance is moved to the history total and
+   * a Balance Correction records the change. Either way the ledger wallet is brought to the corrected balance, except
+   * for users whose opening balance has not been migrated yet, where the migration still has to post it.
+   * Recomputes the drift in a transaction, so repeating a repair is harmless.
+   * @param {string} userId - The user ID
+   * @param {Object} repair - { correct, reason, adjustedBy, auditId }
+   * @returns {Promise<Object>} { userId, drift, correct, adjustmentId, ledgerEntryId } (ids are null when there was no drift)
+   */
+  async repairUser(userId, { correct, reason, adjustedBy, auditId = null }) {
+    if (!REPAIR_TARGETS.includes(correct)) throw new Error(`correct must be one of: ${REPAIR_TARGETS.join(", ")}`);
+    return this.db.runTransaction(async (tx) => {
+      const check = await this.checkUser(userId, tx);
+      if (check.drift === 0) return { userId, drift: 0, correct, adjustmentId: null, ledgerEntryId: null };
+      const userSnap = await tx.get(this.usersRef.doc(userId));
+      const { balance: ledgerBalance } = await this.ledger.getUserLedgerBalance(userId, tx);
+      const migrated = userSnap.data().ledgerMigrated === true;
+
+      const fixHistory = correct === "history";
+      const target = fixHistory ? check.storedBalance : check.expectedBalance;
+      const balanceDelta = fixHistory ? 0 : -check.drift;
+      // Before the opening-balance migration the ledger only holds what was posted since; keep it moving with walletBalance
+      const amount = migrated ? toCents(target - ledgerBalance) / 100 : balanceDelta;
+      const { entryId, walletTransactionId } = this.ledger.adjustWallet(tx, {
+        userId,
+        amount,
+        balanceDelta,
+        memo: `Wallet audit ${fixHistory ? "adjustment" : "balance correction"}: ${reason}`,
+        walletTransaction: {
+          type: fixHistory ? "Adjustment" : "Balance Correction",
+          amount: fixHistory ? check.drift : -check.drift,
+          status: "completed",
+          reason,
+          details: `${fixHistory ? "Balance adjustment" : "Balance correction"}: ${reason}`,
+          adjustedBy,
+          auditId,
+          // With "history" the balance already reflected this amount; only the history was missing it
+          appliedToBalance: !fixHistory,
+          expectedBalanceBefore: check.expectedBalance,
+          storedBalance: check.storedBalance,
+          ledgerBalanceBefore: ledgerBalance,
+        },
+      });
+      return { userId, drift: check.drift, correct, adjustmentId: walletTransactionId, ledgerEntryId: entryId };
+    });
+  }
+
+  /**
+   * Claims an audit for this invocation so concurrent calls do not process (and count) the same pages
+   * @param {FirebaseFirestore.DocumentReference} ref - The audit
+   * @returns {Promise<Object>} The audit data
+   */
+  async claim(ref) {
+    return this.db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) throw new Error("Audit not found");
+      const audit = snap.data();
+      if (audit.status !== "running") return audit;
+      if (audit.leaseUntil && audit.leaseUntil > Date.now()) {
+        throw new Error("Audit is in progress in another invocation");
+      }
+      t.update(ref, { leaseUntil: Date.now() + LEASE_MS });
+      return audit;
+    });
+  }
+
+  /**
+   * Walks all users in document ID order and records those whose balance has drifted.
+   * Works for at most timeBudgetMs, then saves its cursor; call again with the auditId to resume.
+   * @param {Object} options
+   * @param {string} options.auditId - Audit to resume; a new audit is started when omitted
+   * @param {boolean} options.repair - For new audits: repair each drifted user through the ledger
+   * @param {string} options.correct - Required with repair: "history" or "balance" (see repairUser)
+   * @param {string} options.reason - Required with repair; stored on every adjustment
+   * @param {string} options.triggeredBy - uid of the admin
+   * @param {number} options.pageSize - Users read per page
+   * @param {number} options.timeBudgetMs - How long this invocation may work
+   * @returns {Promise<Object>} The audit summary
+   */
+  async run({ auditId = null, repair = false, correct = null, reason = null, triggeredBy, pageSize = DEFAULT_PAGE_SIZE, timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+    const startedAt = Date.now();
+    let ref;
+    let audit;
+    if (auditId) {
+      ref = this.auditsRef.doc(auditId);
+      audit = await this.claim(ref);
+      if (audit.status !== "running") return serializeAudit(await ref.get());
+    } else {
+      if (repair && !reason) throw new Error("A reason is required to repair balances");
+      if (repair && !REPAIR_TARGETS.includes(correct)) throw new Error(`correct must be one of: ${REPAIR_TARGETS.join(", ")}`);
+      ref = this.auditsRef.doc();
+      audit = {
+        status: "running",
+        repair: !!repair,
+        correct: repair ? correct : null,
+        reason: repair ? reason : null,
+        cursor: null,
+        counts: { checked: 0, drifted: 0, repaired: 0, failed: 0 },
+        totalDrift: 0,
+        triggeredBy,
+        leaseUntil: Date.now() + LEASE_MS,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await ref.set(audit);
+    }
+
+    let cursor = audit.cursor || null;
+    let done = false;
+    while (!done && Date.now() - startedAt < timeBudgetMs) {
+      let query = this.usersRef.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+      if (cursor) query = query.startAfter(cursor);
+      const snap = await query.get();
+
+      const counts = { checked: 0, drifted: 0, repaired: 0, failed: 0 };
+      let driftCents = 0;
+      const batch = this.db.batch();
+      for (const doc of snap.docs) {
+        counts.checked++;
+        let item;
+        try {
+          const check = await this.checkUser(doc.id);
+          if (check.drift === 0 && Object.keys(check.unknownTypes).length === 0) continue;
+          item = { ...check };
+          if (check.drift !== 0) {
+            counts.drifted++;
+            driftCents += toCents(check.drift);
+            if (audit.repair) {
+              const repaired = await this.repairUser(doc.id, { correct: audit.correct, reason: audit.reason, adjustedBy: triggeredBy || audit.triggeredBy, auditId: ref.id });
+              item.adjustmentId = repaired.adjustmentId;
+              item.ledgerEntryId = repaired.ledgerEntryId;
+              if (repaired.adjustmentId) counts.repaired++;
+            }
+          }
+        } catch (err) {
+          counts.failed++;
+          item = { userId: doc.id, error: err.message };
+        }
+        batch.set(ref.collection("items").doc(doc.id), {
+          ...item,
+          // getReport orders by this
+          absDrift: Math.abs(item.drift || 0),
+          recordedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      if (snap.size > 0) cursor = snap.docs[snap.docs.length - 1].id;
+      done = snap.size < pageSize;
+
+      const update = {
+        cursor,
+        totalDrift: admin.firestore.FieldValue.increment(driftCents / 100),
+        leaseUntil: done ? null : Date.now() + LEASE_MS,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      Object.entries(counts).forEach(([key, value]) => {
+        update[`counts.${key}`] = admin.firestore.FieldValue.increment(value);
+      });
+      if (done) {
+        update.status = "completed";
+        update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      batch.update(ref, update);
+      await batch.commit();
+    }
+
+    if (!done) await ref.update({ leaseUntil: null });
+    return serializeAudit(await ref.get());
+  }
+
+  /**
+   * Loads an audit and its drifted users, largest drift first
+   * @param {string} auditId - The audit
+   * @param {number} limit - Maximum number of items
+   * @returns {Promise<Object>} { audit, items }
+   */
+  async getReport(auditId, limit = 200) {
+    const ref = this.auditsRef.doc(auditId);
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error("Audit not found");
+    const items = await ref.collection("items").orderBy("absDrift", "desc").limit(limit).get();
+    return {
+      audit: serializeAudit(snap),
+      items: items.docs.map((d) => d.data()),
+    };
+  }
+}
+
+module.exports = {
+  WalletAudit,
+  BALANCE_TRANSACTION_TYPES,
+  REPAIR_TARGETS,
+};
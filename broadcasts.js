@@ -0,0 +1,353 @@
+const admin = require("firebase-admin");
+
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000; // stop well inside serverless time limits; the broadcast resumes from its cursor
+const LEASE_MS = 2 * 60 * 1000; // one invocation works on a broadcast at a time
+const SAMPLE_SIZE = 5;
+
+const BROADCAST_SEGMENTS = ["all", "verified", "wallet_balance_above", "waste_type"];
+
+const EMPTY_COUNTS = {
+  scanned: 0,
+  recipients: 0,
+  sent: 0,
+  failed: 0,
+  would_send: 0,
+  skipped_no_phone: 0,
+  skipped_duplicate: 0,
+};
+
+/**
+ * Converts a broadcast document into a JSON-friendly summary
+ * @param {FirebaseFirestore.DocumentSnapshot} snap - The broadcast document
+ * @returns {Object} The broadcast with ISO timestamps
+ */
+function serializeBroadcast(snap) {
+  const { leaseUntil, createdAt, updatedAt, completedAt, ...broadcast } = snap.data();
+  const iso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: snap.id,
+    ...broadcast,
+    createdAt: iso(createdAt),
+    updatedAt: iso(updatedAt),
+    completedAt: iso(completedAt),
+  };
+}
+
+class Broadcasts {
+  /**
+   * @param {Object} deps
+   * @param {FirebaseFirestore.Firestore} deps.db - Firestore instance
+   * @param {SmsService} deps.sms - Sends the messages
+   * @param {Function} deps.renderMessage - async (broadcast, userId, user) => message text
+   */
+  constructor({ db, sms, renderMessage }) {
+    this.db = db;
+    this.sms = sms;
+    this.renderMessage = renderMessage;
+    this.usersRef = db.collection("users");
+    this.walletRef = db.collection("wallet_transactions");
+    this.broadcastsRef = db.collection("broadcasts");
+  }
+
+  /**
+   * Queues a broadcast; the worker sends it page by page
+   * @param {Object} broadcast - { segment, minBalance, wasteType, message, template, dryRun }
+   * @param {string} createdBy - uid of the admin
+   * @returns {Promise<Object>} The queued broadcast
+   */
+  async start({ segment, minBalance = null, wasteType = null, message = null, template = null, dryRun = false }, createdBy) {
+    const ref = this.broadcastsRef.doc();
+    await ref.set({
+      status: "running",
+      segment,
+      minBalance,
+      wasteType,
+      message,
+      template,
+      dryRun: !!dryRun,
+      cursor: null,
+      pages: 0,
+      counts: { ...EMPTY_COUNTS },
+      sample: [],
+      createdBy,
+      leaseUntil: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return serializeBroadcast(await ref.get());
+  }
+
+  /**
+   * Claims a broadcast for this invocation so concurrent calls do not send the same page twice
+   * @param {FirebaseFirestore.DocumentReference} ref - The broadcast
+   * @returns {Promise<Object>} The broadcast data
+   */
+  async claim(ref) {
+    return this.db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) throw new Error("Broadcast not found");
+      const broadcast = snap.data();
+      if (broadcast.status !== "running") return broadcast;
+      if (broadcast.leaseUntil && broadcast.leaseUntil > Date.now()) {
+        throw new Error("Broadcast is in progress in another invocation");
+      }
+      t.update(ref, { leaseUntil: Date.now() + LEASE_MS });
+      return broadcast;
+    });
+  }
+
+  /**
+   * Reads the next page of the segment
+   * @param {Object} broadcast - The broadcast data
+   * @param {Array} cursor - startAfter values from the previous page, or null
+   * @param {number} pageSize - Documents per page
+   * @returns {Promise<Object>} { users: [{ id, data }], cursor, done }
+   */
+  async nextPage(broadcast, cursor, pageSize) {
+    const byId = admin.firestore.FieldPath.documentId();
+    let query;
+    if (broadcast.segment === "waste_type") {
+      // Users who have been credited for recycling this waste type at least once
+      query = this.walletRef
+        .where("type", "==", "Recycle Credit")
+        .where("wasteType", "==", broadcast.wasteType)
+        .orderBy(byId);
+    } else if (broadcast.segment === "verified") {
+      query = this.usersRef.where("phoneVerified", "==", true).orderBy(byId);
+    } else if (broadcast.segment === "wallet_balance_above") {
+      query = this.usersRef.where("walletBalance", ">", broadcast.minBalance).orderBy("walletBalance").orderBy(byId);
+    } else {
+      query = this.usersRef.orderBy(byId);
+    }
+    query = query.limit(pageSize);
+    if (cursor) query = query.startAfter(...cursor);
+    const snap = await query.get();
+
+    const last = snap.docs[snap.docs.length - 1];
+    const next = !last
+      ? cursor
+      : (broadcast.segment === "wallet_balance_above" ? [last.data().walletBalance, last.id] : [last.id]);
+    let users;
+    if (broadcast.segment === "waste_type") {
+      const userIds = [...new Set(snap.docs.map((d) => d.data().userId).filter(Boolean))];
+      const snaps = userIds.length ? await this.db.getAll(...userIds.map((id) => this.usersRef.doc(id))) : [];
+      users = snaps.filter((s) => s.exists).map((s) => ({ id: s.id, data: s.data() }));
+    } else {
+      users = snap.docs.map((d) => ({ id: d.id, data: d.data() }));
+    }
+    return { users, scanned: snap.size, cursor: next, done: snap.size < pageSize };
+  }
+
+  /**
+   * Sends one page of a broadcast. A recipient document is written before each message goes out, so a
+   * page repeated after a crash skips whoever was already attempted rather than texting them twice.
+   * @param {FirebaseFirestore.DocumentReference} ref - The broadcast
+   * @param {Object} broadcast - The broadcast data
+   * @param {Array} users - [{ id, data }] from nextPage()
+   * @returns {Promise<Object>} { counts, sample }
+   */
+  async sendPage(ref, broadcast, users) {
+    const counts = {};
+    const bump = (key, n = 1) => { counts[key] = (counts[key] || 0) + n; };
+    const recipientsRef = ref.collection("recipients");
+    const existing = users.length ? await this.db.getAll(...users.map((u) => recipientsRef.doc(u.id))) : [];
+
+    const recipients = [];
+    const unreachable = [];
+    for (const [i, user] of users.entries()) {
+      if (existing[i].exists) {
+        bump("skipped_duplicate");
+        continue;
+      }
+      if (!user.data.phoneNumber) {
+        unreachable.push(user.id);
+        continue;
+      }
+      try {
+        const message = await this.renderMessage(broadcast, user.id, user.data);
+        recipients.push({ userId: user.id, mobile: user.data.phoneNumber, message });
+      } catch (err) {
+        recipients.push({ userId: user.id, mobile: user.data.phoneNumber, error: err.message });
+      }
+    }
+    bump("recipients", recipients.length);
+    bump("skipped_no_phone", unreachable.length);
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const claimed = this.db.batch();
+    // Recorded so a user reached again on a later page (waste_type) is counted once
+    unreachable.forEach((userId) => claimed.set(recipientsRef.doc(userId), {
+      userId,
+      mobile: null,
+      status: "skipped_no_phone",
+      createdAt: now,
+    }));
+    recipients.forEach((r) => claimed.set(recipientsRef.doc(r.userId), {
+      userId: r.userId,
+      mobile: r.mobile,
+      status: r.error ? "failed" : (broadcast.dryRun ? "would_send" : "sending"),
+      error: r.error || null,
+      createdAt: now,
+    }));
+    await claimed.commit();
+
+    const sendable = recipients.filter((r) => !r.error);
+    bump("failed", recipients.length - sendable.length);
+    if (broadcast.dryRun) {
+      bump("would_send", sendable.length);
+      return { counts, sample: sendable };
+    }
+
+    const results = await this.sms.sendBulkSms(sendable, { purpose: "broadcast" });
+    const outcome = this.db.batch();
+    results.forEach((result, i) => {
+      bump(result.success ? "sent" : "failed");
+      outcome.update(recipientsRef.doc(sendable[i].userId), {
+        status: result.success ? "sent" : "failed",
+        statusCode: result.statusCode,
+        error: result.success ? null : result.message,
+        provider: result.provider || null,
+        logId: result.logId || null,
+        sentAt: now,
+      });
+    });
+    if (results.length) await outcome.commit();
+    return { counts, sample: sendable };
+  }
+
+  /**
+   * Works through a broadcast for at most timeBudgetMs, then saves its cursor; call again to resume
+   * @param {string} broadcastId - The broadcast
+   * @param {Object} options - { pageSize, timeBudgetMs }
+   * @returns {Promise<Object>} The broadcast summary
+   */
+  async run(broadcastId, { pageSize = DEFAULT_PAGE_SIZE, timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+    const startedAt = Date.now();
+    const ref = this.broadcastsRef.doc(broadcastId);
+    const broadcast = await this.claim(ref);
+    if (broadcast.status !== "running") return serializeBroadcast(await ref.get());
+
+    let cursor = broadcast.cursor || null;
+    let sampled = (broadcast.sample || []).length;
+    let done = false;
+    while (!done && Date.now() - startedAt < timeBudgetMs) {
+      // Stop promptly when an admin cancels mid-run
+      const current = await ref.get();
+      if (current.data().status !== "running") return serializeBroadcast(current);
+
+      const page = await this.nextPage(broadcast, cursor, pageSize);
+      const { counts, sample } = await this.sendPage(ref, broadcast, page.users);
+      cursor = page.cursor;
+      done = page.done;
+
+      const update = {
+        cursor,
+        pages: admin.firestore.FieldValue.increment(1),
+        "counts.scanned": admin.firestore.FieldValue.increment(page.scanned),
+        leaseUntil: done ? null : Date.now() + LEASE_MS,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      Object.entries(counts).forEach(([key, value]) => {
+        update[`counts.${key}`] = admin.firestore.FieldValue.increment(value);
+      });
+      const extra = sample.slice(0, Math.max(0, SAMPLE_SIZE - sampled));
+      if (extra.length) {
+        update.sample = admin.firestore.FieldValue.arrayUnion(...extra);
+        sampled += extra.length;
+      }
+      if (done) {
+        update.status = "completed";
+        update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      await ref.update(update);
+    }
+
+    if (!done) await ref.update({ leaseUntil: null });
+    const summary = serializeBroadcast(await ref.get());
+    if (done && !summary.dryRun) {
+      console.log(`📣 Broadcast ${broadcastId} to ${summary.segment}: ${summary.counts.sent}/${summary.counts.recipients} sent`);
+    }
+    return summary;
+  }
+
+  /**
+   * Continues every running broadcast within one time budget. Used by the scheduled job.
+   * @param {Object} options - As for run()
+   * @returns {Promise<Array>} Summaries of the broadcasts worked on
+   */
+  async processDue({ timeBudgetMs = DEFAULT_TIME_BUDGET_MS, ...options } = {}) {
+    const startedAt = Date.now();
+    const open = await this.broadcastsRef.where("status", "==", "running").limit(10).get();
+    const summaries = [];
+    for (const doc of open.docs) {
+      const remaining = timeBudgetMs - (Date.now() - startedAt);
+      if (remaining <= 0) break;
+      try {
+        summaries.push(await this.run(doc.id, { ...options, timeBudgetMs: remaining }));
+      } catch (err) {
+        if (!/in progress/i.test(err.message)) throw err;
+      }
+    }
+    return summaries;
+  }
+
+  /**
+   * Stops a running broadcast; messages already sent stay sent
+   * @param {string} broadcastId - The broadcast
+   * @param {string} cancelledBy - uid of the admin
+   * @returns {Promise<Object>} The broadcast summary
+   */
+  async cancel(broadcastId, cancelledBy) {
+    const ref = this.broadcastsRef.doc(broadcastId);
+    await this.db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) throw new Error("Broadcast not found");
+      if (snap.data().status !== "running") return;
+      t.update(ref, {
+        status: "cancelled",
+        cancelledBy,
+        leaseUntil: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return serializeBroadcast(await ref.get());
+  }
+
+  /**
+   * Loads a broadcast and its recipients
+   * @param {string} broadcastId - The broadcast
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Object>} { broadcast, recipients }
+   */
+  async getReport(broadcastId, { status = null, limit = 200 } = {}) {
+    const ref = this.broadcastsRef.doc(broadcastId);
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error("Broadcast not found");
+    let query = ref.collection("recipients");
+    if (status) query = query.where("status", "==", status);
+    const recipients = await query.limit(limit).get();
+    return {
+      broadcast: serializeBroadcast(snap),
+      recipients: recipients.docs.map((d) => {
+        const { createdAt, sentAt, ...r } = d.data();
+        return { ...r, sentAt: sentAt && sentAt.toDate ? sentAt.toDate().toISOString() : null };
+      }),
+    };
+  }
+
+  /**
+   * Most recent broadcasts, newest first
+   * @param {number} limit - Maximum broadcasts to return
+   * @returns {Promise<Array>} Broadcast summaries
+   */
+  async list(limit = 20) {
+    const snap = await this.broadcastsRef.orderBy("createdAt", "desc").limit(limit).get();
+    return snap.docs.map(serializeBroadcast);
+  }
+}
+
+module.exports = {
+  Broadcasts,
+  BROADCAST_SEGMENTS,
+};
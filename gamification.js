@@ -0,0 +1,275 @@
+const admin = require("firebase-admin");
+const { periodKeys } = require("./rollups");
+const { roundMoney } = require("./ledger");
+
+const CACHE_TTL_MS = 60 * 1000; // settings are re-read at most once a minute
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const LEADERBOARD_PERIODS = ["week", "month", "all"];
+const LEADERBOARD_METRICS = ["kg", "co2"];
+const BADGE_METRICS = ["kg", "co2", "requests"];
+
+// Used until admins save policies/gamification in Firestore
+const DEFAULT_GAMIFICATION = {
+  redemption: {
+    enabled: true,
+    kesPerPoint: 1,
+    minimumPoints: 10,
+  },
+  // Awarded once, when a credit takes the user's all-time total to the threshold
+  badges: [
+    { id: "first_drop", name: "First Drop", metric: "requests", threshold: 1 },
+    { id: "kg_10", name: "10 kg Recycled", metric: "kg", threshold: 10 },
+    { id: "kg_100", name: "100 kg Recycled", metric: "kg", threshold: 100 },
+    { id: "kg_1000", name: "1 Tonne Recycled", metric: "kg", threshold: 1000 },
+    { id: "co2_100", name: "100 kg CO2e Saved", metric: "co2", threshold: 100 },
+  ],
+  // Consecutive Nairobi weeks (Monday to Sunday) with at least one credited request
+  streakMilestones: [4, 12, 26, 52],
+};
+
+/**
+ * Raised when points cannot be redeemed
+ */
+class RedemptionError extends Error {
+  /**
+   * @param {string} code - NOT_FOUND, DISABLED, BELOW_MINIMUM or INSUFFICIENT_POINTS
+   * @param {string} message - Human readable reason
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "RedemptionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Nairobi week a moment falls in, named by its Monday
+ * @param {Date} date - The moment
+ * @returns {string} "YYYY-MM-DD"
+ */
+function weekKey(date) {
+  const day = new Date(`${periodKeys(date).day}T00:00:00Z`);
+  const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Name shown on leaderboards: the user's name, or the end of their phone number
+ * @param {Object} user - users document data
+ * @returns {string}
+ */
+function displayName(user) {
+  const name = user.name || user.displayName;
+  if (name) return String(name).split(" ")[0];
+  const phone = String(user.phoneNumber || "");
+  return phone ? `Recycler ***${phone.slice(-3)}` : "Recycler";
+}
+
+class Gamification {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} deps
+   * @param {Ledger} deps.ledger - Posts redemptions to the wallet
+   */
+  constructor(db, { ledger }) {
+    this.db = db;
+    this.ledger = ledger;
+    this.settingsRef = db.collection("policies").doc("gamification");
+    this.usersRef = db.collection("users");
+    this.leaderboardsRef = db.collection("leaderboards");
+    this.cached = null;
+  }
+
+  /**
+   * Loads the current settings, merged over the defaults
+   * @returns {Promise<Object>} The effective settings
+   */
+  async load() {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.value;
+    const snap = await this.settingsRef.get();
+    const stored = snap.exists ? snap.data() : {};
+    const value = {
+      ...DEFAULT_GAMIFICATION,
+      ...stored,
+      redemption: { ...DEFAULT_GAMIFICATION.redemption, ...(stored.redemption || {}) },
+    };
+    this.cached = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  /**
+   * Saves settings changes and refreshes the cache
+   * @param {Object} changes - Settings fields to replace
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<Object>} The effective settings after the change
+   */
+  async save(changes, updatedBy) {
+    await this.settingsRef.set({
+      ...changes,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cached = null;
+    return this.load();
+  }
+
+  /**
+   * A user's points, badges and streak
+   * @param {Object} user - users document data
+   * @param {Object} settings - From load()
+   * @returns {Object} { earned, redeemed, available, kesPerPoint, minimumPoints, badges, streak, leaderboardOptOut }
+   */
+  summary(user, settings) {
+    const earned = user.pointsEarned || 0;
+    const redeemed = user.pointsRedeemed || 0;
+    return {
+      earned,
+      redeemed,
+      available: Math.max(0, Math.floor(earned - redeemed)),
+      kesPerPoint: settings.redemption.kesPerPoint,
+      minimumPoints: settings.redemption.minimumPoints,
+      badges: Object.entries(user.badges || {}).map(([id, b]) => ({
+        id,
+        name: b.name,
+        earnedAt: b.earnedAt && b.earnedAt.toDate ? b.earnedAt.toDate().toISOString() : null,
+      })),
+      streak: {
+        current: (user.streak && user.streak.current) || 0,
+        best: (user.streak && user.streak.best) || 0,
+        lastWeek: (user.streak && user.streak.lastWeek) || null,
+      },
+      leaderboardOptOut: user.leaderboardOptOut === true,
+    };
+  }
+
+  /**
+   * Turns whole points into wallet credit at the configured rate
+   * @param {string} userId - The user redeeming
+   * @param {number} points - Whole points to redeem
+   * @returns {Promise<Object>} { points, amount, remaining, walletTransactionId }
+   */
+  async redeem(userId, points) {
+    const settings = await this.load();
+    const { enabled, kesPerPoint, minimumPoints } = settings.redemption;
+    if (!enabled) throw new RedemptionError("DISABLED", "Points redemption is currently unavailable");
+    if (points < minimumPoints) {
+      throw new RedemptionError("BELOW_MINIMUM", `At least ${minimumPoints} points must be redeemed at a time`);
+    }
+    const amount = roundMoney(points * kesPerPoint);
+    const userRef = this.usersRef.doc(userId);
+    return this.db.runTransaction(async (tx) => {
+      const snap = await tx.get(userRef);
+      if (!snap.exists) throw new RedemptionError("NOT_FOUND", "User not found");
+      const { available } = this.summary(snap.data(), settings);
+      if (points > available) {
+        throw new RedemptionError("INSUFFICIENT_POINTS", `Only ${available} points are available`);
+      }
+      tx.update(userRef, { pointsRedeemed: admin.firestore.FieldValue.increment(points) });
+      const { walletTransactionId } = this.ledger.redeemPoints(tx, { userId, points, amount, kesPerPoint });
+      return { points, amount, remaining: available - points, walletTransactionId };
+    });
+  }
+
+  /**
+   * Works out leaderboard, streak and badge changes for a credit. Call inside the crediting
+   * transaction after its reads; merge the returned fields into the user update.
+   * @param {FirebaseFirestore.Transaction} tx - The crediting transaction
+   * @param {string} userId - The credited user
+   * @param {Object} user - users document data before the credit
+   * @param {Object} credit - { weight, co2, at }
+   * @returns {Promise<Object>} { fields, awarded } where awarded is an array of { id, name }
+   */
+  async recordCredit(tx, userId, user, { weight, co2, at = new Date() }) {
+    const settings = await this.load();
+    const fields = { recyclingCount: admin.firestore.FieldValue.increment(1) };
+
+    const week = weekKey(at);
+    const month = periodKeys(at).month;
+    [`week_${week}`, `month_${month}`].forEach((id) => {
+      tx.set(this.leaderboardsRef.doc(id).collection("entries").doc(userId), {
+        userId,
+        kg: admin.firestore.FieldValue.increment(weight),
+        co2: admin.firestore.FieldValue.increment(co2),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+
+    const streak = user.streak || { current: 0, best: 0, lastWeek: null };
+    let current = streak.current || 0;
+    if (streak.lastWeek !== week) {
+      current = streak.lastWeek === weekKey(new Date(at.getTime() - WEEK_MS)) ? current + 1 : 1;
+      fields.streak = { current, best: Math.max(streak.best || 0, current), lastWeek: week };
+    }
+
+    const totals = {
+      kg: (user.recycledWeight || 0) + weight,
+      co2: (user.co2Saved || 0) + co2,
+      requests: (user.recyclingCount || 0) + 1,
+    };
+    const earned = user.badges || {};
+    const candidates = [
+      ...settings.badges.filter((b) => totals[b.metric] >= b.threshold),
+      ...settings.streakMilestones
+        .filter((n) => current >= n)
+        .map((n) => ({ id: `streak_${n}`, name: `${n}-Week Streak` })),
+    ];
+    const awarded = candidates.filter((b) => !earned[b.id]).map((b) => ({ id: b.id, name: b.name }));
+    awarded.forEach((b) => {
+      fields[`badges.${b.id}`] = { name: b.name, earnedAt: admin.firestore.Timestamp.fromDate(at) };
+    });
+    return { fields, awarded };
+  }
+
+  /**
+   * Ranks users by kg recycled or CO2 saved. Users who opted out are left out.
+   * @param {Object} options
+   * @param {string} options.period - week, month or all
+   * @param {string} options.metric - kg or co2
+   * @param {number} options.limit - Number of places
+   * @param {Date} options.at - A moment in the week or month to rank (default now)
+   * @returns {Promise<Object>} { period, key, metric, entries: [{ rank, userId, name, value }] }
+   */
+  async leaderboard({ period = "week", metric = "kg", limit = 10, at = new Date() }) {
+    let key = "all";
+    let base;
+    let field = metric;
+    if (period === "all") {
+      field = metric === "kg" ? "recycledWeight" : "co2Saved";
+      base = this.usersRef.orderBy(field, "desc");
+    } else {
+      key = period === "week" ? weekKey(at) : periodKeys(at).month;
+      base = this.leaderboardsRef.doc(`${period}_${key}`).collection("entries").orderBy(field, "desc");
+    }
+
+    const entries = [];
+    let cursor = null;
+    while (entries.length < limit) {
+      let query = base.limit(limit * 2);
+      if (cursor) query = query.startAfter(cursor);
+      const snap = await query.get();
+      if (snap.empty) break;
+      const users = period === "all"
+        ? snap.docs
+        : await this.db.getAll(...snap.docs.map((d) => this.usersRef.doc(d.id)));
+      const byId = new Map(users.map((u) => [u.id, u.exists ? u.data() : null]));
+      snap.docs.forEach((doc) => {
+        const user = byId.get(doc.id);
+        const value = doc.data()[field] || 0;
+        if (!user || user.leaderboardOptOut === true || value <= 0 || entries.length >= limit) return;
+        entries.push({ rank: entries.length + 1, userId: doc.id, name: displayName(user), value: Math.round(value * 1000) / 1000 });
+      });
+      if (snap.size < limit * 2) break;
+      cursor = snap.docs[snap.docs.length - 1];
+    }
+    return { period, key, metric, entries };
+  }
+}
+
+module.exports = {
+  Gamification,
+  RedemptionError,
+  DEFAULT_GAMIFICATION,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+  BADGE_METRICS,
+};
@@ -0,0 +1,134 @@
+const admin = require("firebase-admin");
+
+const CACHE_TTL_MS = 60 * 1000; // factors are re-read at most once a minute
+
+// Applied to waste types without their own factors; matches the figures used before factors were configurable
+const DEFAULT_IMPACT_FACTORS = {
+  co2PerKg: 1.5,
+  waterLitresPerKg: 0,
+  energyKwhPerKg: 0,
+  pointsPerKg: 1 / 50,
+};
+
+const FACTOR_FIELDS = Object.keys(DEFAULT_IMPACT_FACTORS);
+
+/**
+ * Reads weight and waste type from a Recycle Credit transaction. Older transactions
+ * have no weight field and only mention it in the details text.
+ * @param {Object} tx - wallet_transactions document data
+ * @returns {Object} { kg, wasteType }
+ */
+function parseRecycleCredit(tx) {
+  let kg = 0;
+  let wasteType = (tx.wasteType || "").toString();
+  if (typeof tx.weight === "number") {
+    kg = tx.weight;
+  } else {
+    const details = (tx.details || "").toString();
+    const match = details.match(/recycling\s+(\d+(?:\.\d+)?)kg\s+of\s+([A-Za-z\s]+)/i);
+    if (match) {
+      kg = parseFloat(match[1]);
+      if (!wasteType) wasteType = match[2].trim();
+    }
+  }
+  return { kg, wasteType };
+}
+
+/**
+ * Computes the impact of recycling a weight of material
+ * @param {Object} factors - Factors for the material
+ * @param {number} weight - Weight in kg
+ * @returns {Object} { co2Saved, waterSaved, energySaved, points }
+ */
+function computeImpact(factors, weight) {
+  return {
+    co2Saved: weight * factors.co2PerKg,
+    waterSaved: weight * factors.waterLitresPerKg,
+    energySaved: weight * factors.energyKwhPerKg,
+    points: weight * factors.pointsPerKg,
+  };
+}
+
+class ImpactFactors {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.factorsRef = db.collection("impact_factors");
+    this.cached = null;
+  }
+
+  /**
+   * Loads factors for all waste types
+   * @returns {Promise<Object>} Map of waste type to factors (merged over the defaults)
+   */
+  async loadAll() {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.value;
+    const snap = await this.factorsRef.get();
+    const value = {};
+    snap.forEach((doc) => {
+      const d = doc.data();
+      value[doc.id] = { ...DEFAULT_IMPACT_FACTORS };
+      FACTOR_FIELDS.forEach((field) => {
+        if (typeof d[field] === "number") value[doc.id][field] = d[field];
+      });
+    });
+    this.cached = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  /**
+   * Picks the factors for a waste type out of a loadAll() map
+   * @param {Object} all - Result of loadAll()
+   * @param {string} wasteType - Normalized waste type
+   * @returns {Object} The factors, or the defaults
+   */
+  static resolve(all, wasteType) {
+    return all[wasteType] || DEFAULT_IMPACT_FACTORS;
+  }
+
+  /**
+   * Computes the impact of recycling a weight of a waste type
+   * @param {string} wasteType - Normalized waste type
+   * @param {number} weight - Weight in kg
+   * @returns {Promise<Object>} { co2Saved, waterSaved, energySaved, points, factors }
+   */
+  async impactFor(wasteType, weight) {
+    const factors = ImpactFactors.resolve(await this.loadAll(), wasteType);
+    return { ...computeImpact(factors, weight), factors };
+  }
+
+  /**
+   * Saves the factors for a waste type and refreshes the cache
+   * @param {string} wasteType - Normalized waste type
+   * @param {Object} changes - Factor fields to update
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<Object>} The effective factors after the change
+   */
+  async save(wasteType, changes, updatedBy) {
+    await this.factorsRef.doc(wasteType).set({
+      ...changes,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cached = null;
+    return ImpactFactors.resolve(await this.loadAll(), wasteType);
+  }
+
+  /**
+   * Removes a waste type's factors so it falls back to the defaults
+   * @param {string} wasteType - Normalized waste type
+   * @returns {Promise<void>}
+   */
+  async remove(wasteType) {
+    await this.factorsRef.doc(wasteType).delete();
+    this.cached = null;
+  }
+}
+
+module.exports = {
+  ImpactFactors,
+  DEFAULT_IMPACT_FACTORS,
+  computeImpact,
+  parseRecycleCredit,
+};
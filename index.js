@@ -1,9 +1,29 @@
 const express = require("express");
+const crypto = require("crypto");
 const admin = require("firebase-admin");
 const cors = require("cors");
 const { z } = require("zod");
-const fetch = require("node-fetch"); // For calling Python payout service
-const { smsService } = require("./sms");
+const { smsService, SMS_PURPOSES } = require("./sms");
+const { TemplateService, interpolate, SUPPORTED_LANGUAGES } = require("./templates");
+const { Ledger, roundMoney } = require("./ledger");
+const { PayoutService, extractConversationIds } = require("./payouts");
+const { WithdrawalPolicy, PolicyViolationError } = require("./policy");
+const { PriceService, toDate } = require("./prices");
+const { PricingRules, GRADES } = require("./pricing");
+const { ImpactFactors, DEFAULT_IMPACT_FACTORS, computeImpact, parseRecycleCredit } = require("./impact");
+const { RecyclingRequests, RequestTransitionError, measuredWeighIn } = require("./requests");
+const { Reconciler } = require("./reconciliation");
+const { Broadcasts, BROADCAST_SEGMENTS } = require("./broadcasts");
+const { Scheduling, SchedulingError, orderRoute } = require("./scheduling");
+const { WalletAudit, REPAIR_TARGETS } = require("./audit");
+const { Rollups, nest, periodKeys } = require("./rollups");
+const { AnalyticsService, parseAnalyticsQuery, describeQuery, pick } = require("./analytics");
+const { StatementService } = require("./statements");
+const { Referrals, ReferralError } = require("./referrals");
+const { Gamification, RedemptionError, BADGE_METRICS, LEADERBOARD_PERIODS, LEADERBOARD_METRICS } = require("./gamification");
+const { onRequest } = require("firebase-functions/v2/https");
+const { onDocumentCreated, onDocumentUpdated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 
 // Add request logging middleware
 const requestLogger = (req, res, next) => {
@@ -45,28 +65,112 @@ const rateLimit = (req, res, next) => {
   next();
 };
 
-let serviceAccount;
-try {
-  serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-} catch (e) {
-  console.error("❌ Firebase key error:", e.message);
-  process.exit(1);
+// Cloud Functions provide default credentials; elsewhere (Vercel, local) the key comes from the environment.
+// The Firebase CLI also loads this module to discover functions during deploy, with FUNCTIONS_CONTROL_API set.
+const IN_CLOUD_FUNCTIONS = Boolean(process.env.FUNCTION_TARGET || process.env.K_SERVICE || process.env.FUNCTIONS_CONTROL_API);
+if (IN_CLOUD_FUNCTIONS && !process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+  admin.initializeApp();
+} else {
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+  } catch (e) {
+    console.error("❌ Firebase key error:", e.message);
+    process.exit(1);
+  }
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
 }
 
-admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-
 const db = admin.firestore();
 const usersRef = db.collection("users");
 const phoneNumbersRef = db.collection("phone_numbers");
 const otpRef = db.collection("otp_verifications");
 const walletRef = db.collection("wallet_transactions");
-const wastePricesRef = db.collection("waste_prices");
 const processedRequestsRef = db.collection("processed_requests");
+const requestsRef = db.collection("recycling_requests");
+const smsLogsRef = db.collection("sms_logs");
+const idempotencyRef = db.collection("idempotency_keys");
+const unmatchedCallbacksRef = db.collection("unmatched_b2c_callbacks");
+
+// Persist every outbound SMS so support can trace delivery
+smsService.setLogger(async (entry) => {
+  const ref = smsLogsRef.doc();
+  await ref.set({
+    ...entry,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+});
+
+// Named, localized message copy shared by SMS and push notifications
+const templates = new TemplateService(db);
+smsService.setTemplateRenderer((name, vars, language) => templates.render(name, vars, language));
+
+// Daily, monthly and all-time analytics counters, updated in the same transactions as the data (sharded, see rollups.js)
+const rollups = new Rollups(db);
+const analytics = new AnalyticsService(db, { rollups });
+
+// Double-entry ledger: every wallet movement is posted here
+const ledger = new Ledger(db, { rollups });
+
+// Checks users.walletBalance against the wallet_transactions history
+const walletAudit = new WalletAudit(db, { ledger });
+
+// Waste prices with effective-dated history; requests are credited at the price in force when completed
+const prices = new PriceService(db);
+const pricing = new PricingRules(db, prices);
+
+// CO2e, water, energy and points per kg for each material
+const impactFactors = new ImpactFactors(db);
+
+// Points redemption, leaderboards, badges and streaks
+const gamification = new Gamification(db, { ledger });
+
+// Referral codes and bonuses on the referee's first credited request
+const referrals = new Referrals(db, { ledger });
+
+// Per-user wallet statements (JSON, CSV or PDF)
+const statements = new StatementService(db, impactFactors);
+
+// Recycling request lifecycle: pending -> accepted -> scheduled -> collected -> completed (or cancelled)
+const recyclingRequests = new RecyclingRequests(db);
+
+// Service zones, pickup slots with capacity, and daily collector routes
+const scheduling = new Scheduling(db);
+
+// Admin SMS broadcasts, sent in pages by a worker so large segments never run inside one request
+const broadcasts = new Broadcasts({ db, sms: smsService, renderMessage: renderBroadcastMessage });
+
+// Resumable reconciliation of completed requests against credits
+const reconciler = new Reconciler({ db, creditRequest: creditCompletedRequest, quoteRequest: quoteCompletedRequest });
 
 const app = express();
 // External services
 const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || "https://payment-service-a3t5.onrender.com";
 const INTERNAL_SHARED_SECRET = process.env.INTERNAL_SHARED_SECRET || "";
+const SMS_DLR_SECRET = process.env.SMS_DLR_SECRET || "";
+const CRON_SECRET = process.env.CRON_SECRET || "";
+const PAYOUT_SWEEP_MINUTES = parseInt(process.env.PAYOUT_SWEEP_MINUTES, 10) || 30;
+const ADMIN_LANGUAGE = process.env.ADMIN_LANGUAGE || "en";
+
+// Payout outbox: debits and payout jobs are written together, a worker delivers them
+const payouts = new PayoutService({
+  db,
+  ledger,
+  rollups,
+  paymentServiceUrl: PAYMENT_SERVICE_URL,
+  // Text the user once the payout is sent or refunded
+  onOutcome: (withdrawalId, withdrawal, status) => sendUserSms(
+    withdrawal.userId,
+    status === "completed" ? "payout_completed" : "payout_failed",
+    { amount: Math.abs(withdrawal.amount).toFixed(2) },
+    "payout",
+  ),
+});
+
+// Withdrawal limits, fees and eligibility rules (policies/withdrawals)
+const withdrawalPolicy = new WithdrawalPolicy(db);
 // CORS with configurable origins (default '*')
 const allowedOrigins = (process.env.CORS_ORIGINS || "*")
   .split(",")
@@ -108,21 +212,163 @@ async function requireAuth(req, res, next) {
   }
 }
 
+// Whether a decoded ID token belongs to an admin
+async function isAdmin(user) {
+  // Prefer custom claim
+  if (user.admin === true) return true;
+  // Fallback to Firestore role
+  const snap = await usersRef.doc(user.uid).get();
+  return snap.exists && snap.data().role === 'admin';
+}
+
+// Whether a decoded ID token belongs to a collector (field agent)
+async function isCollector(user) {
+  if (user.collector === true) return true;
+  const snap = await usersRef.doc(user.uid).get();
+  return snap.exists && snap.data().role === "collector";
+}
+
+async function assertCollector(req, res, next) {
+  try {
+    if (!req.user || !req.user.uid) return res.status(401).json({ error: "Unauthenticated" });
+    if (await isCollector(req.user)) return next();
+    return res.status(403).json({ error: "Collectors only" });
+  } catch (e) {
+    return res.status(500).json({ error: "Role check failed", details: e.message });
+  }
+}
+
 async function assertAdmin(req, res, next) {
   try {
     if (!req.user || !req.user.uid) return res.status(401).json({ error: "Unauthenticated" });
-    // Prefer custom claim
-    if (req.user.admin === true) return next();
-    // Fallback to Firestore role
-    const snap = await usersRef.doc(req.user.uid).get();
-    if (snap.exists && snap.data().role === 'admin') return next();
+    if (await isAdmin(req.user)) return next();
     return res.status(403).json({ error: 'Admin only' });
   } catch (e) {
     return res.status(500).json({ error: 'Role check failed', details: e.message });
   }
 }
 
+// Internal jobs (cron, payment service) use the shared secret; people use an admin ID token
+function requireInternalOrAdmin(req, res, next) {
+  const headerSecret = req.headers["x-internal-secret"] || req.headers["x-internal-auth"];
+  if (INTERNAL_SHARED_SECRET && headerSecret && String(headerSecret) === INTERNAL_SHARED_SECRET) return next();
+  // Vercel cron sends Authorization: Bearer <CRON_SECRET>
+  if (CRON_SECRET && req.headers.authorization === `Bearer ${CRON_SECRET}`) {
+    req.cron = true;
+    return next();
+  }
+  return requireAuth(req, res, () => assertAdmin(req, res, next));
+}
+
+// --- Idempotency middleware (Idempotency-Key header on money-moving routes) ---
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // keys are honoured for 24 hours
+const IDEMPOTENCY_LOCK_MS = 2 * 60 * 1000; // an in-progress key older than this may be retried
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+  if (key.length > 255) return res.status(400).json({ error: "Idempotency-Key is too long" });
+  try {
+    // Routes without requireAuth name the user in the body; keys are only shared within one user's requests
+    const body = req.body || {};
+    const owner = (req.user && req.user.uid) || body.userId || body.user_id || "anonymous";
+    const scope = `${owner}:${req.method}:${req.path}:${key}`;
+    const docRef = idempotencyRef.doc(crypto.createHash("sha256").update(scope).digest("hex"));
+    const requestHash = crypto.createHash("sha256").update(stableStringify(req.body || {})).digest("hex");
+
+    const existing = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(docRef);
+      const now = Date.now();
+      if (snap.exists && snap.data().expiresAt > now) {
+        const d = snap.data();
+        const stale = d.status === "in_progress" && now - d.lockedAt > IDEMPOTENCY_LOCK_MS;
+        if (!stale || d.requestHash !== requestHash) return d;
+      }
+      tx.set(docRef, {
+        status: "in_progress",
+        requestHash,
+        method: req.method,
+        path: req.path,
+        userId: req.user && req.user.uid ? req.user.uid : null,
+        lockedAt: now,
+        expiresAt: now + IDEMPOTENCY_TTL_MS,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    });
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          error: "Idempotency-Key was already used with a different request",
+          code: "IDEMPOTENCY_KEY_REUSED",
+        });
+      }
+      if (existing.status === "in_progress") {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress",
+          code: "IDEMPOTENCY_IN_PROGRESS",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      res.status(existing.statusCode);
+      if (existing.contentType) res.set("Content-Type", existing.contentType);
+      return res.send(existing.body);
+    }
+
+    // Capture the response: store it for replay, or release the key on server errors so the client can retry.
+    // res.json and res.send with an object both end in res.send with the serialized body, which is stored as sent.
+    const originalSend = res.send.bind(res);
+    let recorded = false;
+    res.send = (payload) => {
+      if (recorded || (payload !== null && typeof payload === "object" && !Buffer.isBuffer(payload))) {
+        return originalSend(payload);
+      }
+      recorded = true;
+      const write = res.statusCode >= 500
+        ? docRef.delete()
+        : docRef.update({
+          status: "completed",
+          statusCode: res.statusCode,
+          contentType: res.get("Content-Type") || null,
+          body: Buffer.isBuffer(payload) ? payload.toString("utf8") : (payload === undefined ? null : String(payload)),
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      // Send only after the record is written so an immediate retry sees the stored response
+      write
+        .catch((e) => console.error("❌ Idempotency record error:", e.message))
+        .then(() => originalSend(payload));
+      return res;
+    };
+    // Responses that bypass res.send (res.end, streams) are not replayable; release the key instead
+    const release = () => {
+      if (recorded) return;
+      recorded = true;
+      docRef.delete().catch((e) => console.error("❌ Idempotency release error:", e.message));
+    };
+    res.on("finish", release);
+    res.on("close", release);
+    return next();
+  } catch (e) {
+    return res.status(500).json({ error: "Idempotency check failed", details: e.message });
+  }
+}
+
 // --- Push Notifications Helpers ---
+// `notification` is either { title, body } or { template, vars } rendered in the recipient's language
+async function resolveNotification(notification, language) {
+  if (!notification || !notification.template) return notification;
+  return templates.render(notification.template, notification.vars || {}, language);
+}
+
 async function sendToUserToken(userId, notification, data = {}) {
   try {
     const snap = await usersRef.doc(userId).get();
@@ -131,7 +377,7 @@ async function sendToUserToken(userId, notification, data = {}) {
     if (!token) return { success: false, error: "No fcmToken" };
     await admin.messaging().send({
       token,
-      notification,
+      notification: await resolveNotification(notification, snap.data().language),
       data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])),
     });
     return { success: true };
@@ -140,11 +386,24 @@ async function sendToUserToken(userId, notification, data = {}) {
   }
 }
 
+// Texts a user a named template in their language; `purpose` is recorded in sms_logs
+async function sendUserSms(userId, template, vars, purpose) {
+  try {
+    const snap = await usersRef.doc(userId).get();
+    if (!snap.exists) return { success: false, error: "User not found" };
+    const { phoneNumber, language } = snap.data();
+    if (!phoneNumber) return { success: false, error: "No phoneNumber" };
+    return await smsService.sendTemplate(phoneNumber, template, vars, { purpose, userId, language });
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
 async function sendToAdmins(notification, data = {}) {
   try {
     await admin.messaging().send({
       topic: "admins",
-      notification,
+      notification: await resolveNotification(notification, ADMIN_LANGUAGE),
       data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])),
     });
     return { success: true };
@@ -154,31 +413,65 @@ async function sendToAdmins(notification, data = {}) {
 }
 
 // 📊 Analytics Endpoints
+// Analytics routes read pre-aggregated rollups (see rollups.js) instead of scanning collections.
+// All of them accept start/end (dates, inclusive), granularity (day|week|month), tz (IANA, default
+// Africa/Nairobi) and, where listed, groupBy. Without start/end the totals are all-time and the series
+// covers the recent past; with them the totals cover the range.
+
+/**
+ * Parses the shared analytics query and aggregates its range; answers 400 and returns null on bad input
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} dimensions - groupBy values the route supports
+ * @param {Array} sources - Raw collections the route's metrics come from
+ * @returns {Promise<Object|null>} { q, source, buckets, totals }
+ */
+async function analyticsRange(req, res, dimensions, sources) {
+  const parsed = parseAnalyticsQuery(req.query, dimensions);
+  if (parsed.error) {
+    res.status(400).json({ error: parsed.error });
+    return null;
+  }
+  const q = parsed.value;
+  const factors = sources.includes("transactions") ? await impactFactors.loadAll() : {};
+  return { q, ...(await analytics.series(q, sources, factors)) };
+}
+
 app.get("/analytics/users", async (req, res) => {
   try {
-    const usersSnapshot = await usersRef.get();
-    const totalUsers = usersSnapshot.size;
-    
-    let verifiedUsers = 0;
-    let totalWalletBalance = 0;
-    let totalRecycledWeight = 0;
-    let totalCo2Saved = 0;
-    
-    usersSnapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.phoneVerified) verifiedUsers++;
-      if (data.walletBalance) totalWalletBalance += data.walletBalance;
-      if (data.recycledWeight) totalRecycledWeight += data.recycledWeight;
-      if (data.co2Saved) totalCo2Saved += data.co2Saved;
-    });
-    
+    const range = await analyticsRange(req, res, [], ["users", "transactions"]);
+    if (!range) return;
+    const all = await rollups.totals();
+    const totals = range.q.ranged ? nest(range.totals) : all;
+    const users = totals.users || {};
+    let totalUsers = users.new || 0;
+    let verifiedUsers = users.verified || 0;
+    if (!range.q.ranged) {
+      // All-time counts come from the users collection: not every deployment runs the trigger that counts new users
+      const [allUsers, verified] = await Promise.all([
+        usersRef.count().get(),
+        usersRef.where("phoneVerified", "==", true).count().get(),
+      ]);
+      totalUsers = allUsers.data().count;
+      verifiedUsers = verified.data().count;
+    }
+
     res.json({
       total_users: totalUsers,
       verified_users: verifiedUsers,
       verification_rate: totalUsers > 0 ? (verifiedUsers / totalUsers * 100).toFixed(2) : 0,
-      total_wallet_balance: totalWalletBalance,
-      total_recycled_weight: totalRecycledWeight,
-      total_co2_saved: totalCo2Saved,
+      // The balance is a point-in-time figure, so it is always the current total
+      total_wallet_balance: roundMoney((all.wallet && all.wallet.balance) || 0),
+      total_recycled_weight: (totals.recycling && totals.recycling.kg) || 0,
+      total_co2_saved: (totals.recycling && totals.recycling.co2) || 0,
+      series: range.buckets.map((b) => ({
+        period: b.period,
+        start: b.start,
+        new_users: b.flat["users.new"] || 0,
+        verified_users: b.flat["users.verified"] || 0,
+      })),
+      query: describeQuery(range.q),
+      source: range.source,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -189,29 +482,36 @@ app.get("/analytics/users", async (req, res) => {
 
 app.get("/analytics/transactions", async (req, res) => {
   try {
-    const transactionsSnapshot = await walletRef.get();
-    const totalTransactions = transactionsSnapshot.size;
-    
-    let totalAmount = 0;
+    const range = await analyticsRange(req, res, ["type", "status"], ["transactions"]);
+    if (!range) return;
+    const transactions = (range.q.ranged ? nest(range.totals) : await rollups.totals()).transactions || {};
     const typeCounts = {};
+    Object.entries(transactions.byType || {}).forEach(([type, v]) => {
+      if (v.count) typeCounts[type] = v.count;
+    });
     const statusCounts = {};
-    
-    transactionsSnapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.amount) totalAmount += Math.abs(data.amount);
-      
-      const type = data.type || 'unknown';
-      typeCounts[type] = (typeCounts[type] || 0) + 1;
-      
-      const status = data.status || 'unknown';
-      statusCounts[status] = (statusCounts[status] || 0) + 1;
+    Object.entries(transactions.byStatus || {}).forEach(([status, count]) => {
+      if (count) statusCounts[status] = count;
     });
-    
+
     res.json({
-      total_transactions: totalTransactions,
-      total_amount: totalAmount,
+      total_transactions: transactions.count || 0,
+      total_amount: roundMoney(transactions.absAmount || 0),
       type_breakdown: typeCounts,
       status_breakdown: statusCounts,
+      series: range.buckets.map((b) => {
+        const entry = {
+          period: b.period,
+          start: b.start,
+          count: b.flat["transactions.count"] || 0,
+          amount: roundMoney(b.flat["transactions.absAmount"] || 0),
+        };
+        if (range.q.groupBy.includes("type")) entry.by_type = pick(b.flat, "transactions.byType");
+        if (range.q.groupBy.includes("status")) entry.by_status = pick(b.flat, "transactions.byStatus");
+        return entry;
+      }),
+      query: describeQuery(range.q),
+      source: range.source,
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -223,21 +523,29 @@ app.get("/analytics/transactions", async (req, res) => {
 // Withdrawal analytics endpoint to unify analytics under functions backend
 app.get("/analytics/withdrawals", async (req, res) => {
   try {
-    const withdrawalsSnap = await walletRef.where("type", "==", "Withdraw").get();
-    const totalWithdrawals = withdrawalsSnap.size;
-    let totalAmount = 0;
+    const range = await analyticsRange(req, res, ["status"], ["transactions"]);
+    if (!range) return;
+    const withdrawals = (range.q.ranged ? nest(range.totals) : await rollups.totals()).withdrawals || {};
     const statusCounts = {};
-    withdrawalsSnap.forEach((doc) => {
-      const d = doc.data();
-      const amount = typeof d.amount === "number" ? Math.abs(d.amount) : 0;
-      totalAmount += amount;
-      const status = (d.status || "unknown").toString();
-      statusCounts[status] = (statusCounts[status] || 0) + 1;
+    Object.entries(withdrawals.byStatus || {}).forEach(([status, v]) => {
+      if (v.count) statusCounts[status] = v.count;
     });
     return res.json({
-      total_withdrawals: totalWithdrawals,
-      total_amount: totalAmount,
+      total_withdrawals: withdrawals.count || 0,
+      total_amount: roundMoney(withdrawals.amount || 0),
       status_breakdown: statusCounts,
+      series: range.buckets.map((b) => {
+        const entry = {
+          period: b.period,
+          start: b.start,
+          count: b.flat["withdrawals.count"] || 0,
+          amount: roundMoney(b.flat["withdrawals.amount"] || 0),
+        };
+        if (range.q.groupBy.includes("status")) entry.by_status = pick(b.flat, "withdrawals.byStatus");
+        return entry;
+      }),
+      query: describeQuery(range.q),
+      source: range.source,
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
@@ -246,6 +554,49 @@ app.get("/analytics/withdrawals", async (req, res) => {
   }
 });
 
+// Regenerate all rollups from users and wallet_transactions (after a migration or a bug fix).
+// Resumable: pass the returned runId until status is "completed"; the live rollups change only in the publish phase.
+app.post("/admin/analytics/rebuild", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({ runId: z.string().min(1).optional() });
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const run = await rollups.rebuild({
+      runId: parsed.data.runId,
+      factors: await impactFactors.loadAll(),
+      triggeredBy: req.user.uid,
+    });
+    return res.json({ success: true, run });
+  } catch (err) {
+    console.error("Rollup rebuild error:", err);
+    const code = /not found/i.test(err.message) ? 404 : (/in progress/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Vercel cron: continue the open rollup rebuild, or start the daily one (the first on a fresh deployment)
+app.get("/admin/analytics/rebuild", requireInternalOrAdmin, async (req, res) => {
+  try {
+    const run = await rollups.resumePending({ factors: await impactFactors.loadAll(), triggeredBy: "schedule" });
+    return res.json({ success: true, run });
+  } catch (err) {
+    const code = /in progress/i.test(err.message) ? 409 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Rollup rebuild progress
+app.get("/admin/analytics/rebuild/:id", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await rollups.getRebuild(req.params.id));
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
 // Transactions query with filters and pagination
 app.get("/transactions/query", async (req, res) => {
   try {
@@ -401,14 +752,244 @@ app.get("/transactions/export", async (req, res) => {
   }
 });
 
-// Notify admins when a new recycling request is created (called from client)
+// Wallet statement for the signed-in user, or for any user when an admin passes ?userId.
+// Period: start/end dates (inclusive, default the last 30 days) in tz (default Africa/Nairobi).
+// ?format=json (default), csv or pdf
+app.get("/wallet/statement", requireAuth, async (req, res) => {
+  try {
+    const userId = String(req.query.userId || req.user.uid);
+    if (userId !== req.user.uid && !(await isAdmin(req.user))) {
+      return res.status(403).json({ error: "Admin only" });
+    }
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, csv or pdf" });
+    }
+    const { start, end, tz } = req.query;
+    const parsed = parseAnalyticsQuery({ start, end, tz, granularity: "day" });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { start: startDay, end: endDay, tz: zone } = describeQuery(parsed.value);
+
+    const statement = await statements.build(userId, {
+      start: parsed.value.start,
+      end: parsed.value.end,
+      label: { start: startDay, end: endDay, tz: zone },
+    });
+    const filename = `statement-${userId}-${startDay}-${endDay}`;
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}.csv`);
+      return res.status(200).send(statements.toCsv(statement));
+    }
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename=${filename}.pdf`);
+      return res.status(200).send(statements.toPdf(statement));
+    }
+    return res.json(statement);
+  } catch (err) {
+    if (/not found/i.test(err.message)) return res.status(404).json({ error: err.message });
+    console.error("Wallet statement error:", err);
+    return res.status(500).json({ error: "Failed to build statement", details: err.message });
+  }
+});
+
+// 🏆 Points, badges and leaderboards
+const REDEMPTION_ERROR_STATUS = { NOT_FOUND: 404, DISABLED: 403, BELOW_MINIMUM: 400, INSUFFICIENT_POINTS: 409 };
+
+// The signed-in user's points balance, badges and streak
+app.get("/points", requireAuth, async (req, res) => {
+  try {
+    const [snap, settings] = await Promise.all([usersRef.doc(req.user.uid).get(), gamification.load()]);
+    if (!snap.exists) return res.status(404).json({ error: "User not found" });
+    return res.json(gamification.summary(snap.data(), settings));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Redeem whole points for wallet credit at the configured rate
+app.post("/points/redeem", requireAuth, idempotent, async (req, res) => {
+  try {
+    const schema = z.object({ points: z.number().int().positive() });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const result = await gamification.redeem(req.user.uid, parsed.data.points);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof RedemptionError) {
+      return res.status(REDEMPTION_ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code });
+    }
+    console.error("Points redemption error:", err);
+    return res.status(500).json({ error: "Failed to redeem points", details: err.message });
+  }
+});
+
+// Leaderboard: ?period=week|month|all&metric=kg|co2&limit. Users who opted out are not listed.
+app.get("/leaderboards", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({
+      period: z.enum(LEADERBOARD_PERIODS).optional(),
+      metric: z.enum(LEADERBOARD_METRICS).optional(),
+      limit: z.coerce.number().int().min(1).max(100).optional(),
+    });
+    const parsed = schema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const board = await gamification.leaderboard(parsed.data);
+    const viewerIsAdmin = await isAdmin(req.user);
+    return res.json({
+      ...board,
+      // Other users' ids are only shown to admins
+      entries: board.entries.map(({ userId, ...entry }) => ({
+        ...entry,
+        ...(viewerIsAdmin ? { userId } : {}),
+        isYou: userId === req.user.uid,
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Hide (or show again) the signed-in user on leaderboards
+app.post("/users/leaderboard-opt-out", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({ optOut: z.boolean() });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    await usersRef.doc(req.user.uid).set({ leaderboardOptOut: parsed.data.optOut }, { merge: true });
+    return res.json({ success: true, optOut: parsed.data.optOut });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/admin/policies/gamification", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await gamification.load());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Update the redemption rate, badge milestones and streak milestones without a deploy
+app.put("/admin/policies/gamification", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      redemption: z.object({
+        enabled: z.boolean().optional(),
+        kesPerPoint: z.number().positive().optional(),
+        minimumPoints: z.number().int().min(1).optional(),
+      }).strict().optional(),
+      badges: z.array(z.object({
+        id: z.string().regex(/^[a-z0-9_]+$/, "Badge ids use lowercase letters, digits and underscores"),
+        name: z.string().min(1),
+        metric: z.enum(BADGE_METRICS),
+        threshold: z.number().positive(),
+      })).optional(),
+      streakMilestones: z.array(z.number().int().min(2)).optional(),
+    }).strict();
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const ids = (parsed.data.badges || []).map((b) => b.id);
+    if (new Set(ids).size !== ids.length || ids.some((id) => id.startsWith("streak_"))) {
+      return res.status(400).json({ error: "Badge ids must be unique and cannot start with streak_" });
+    }
+    const changes = { ...parsed.data };
+    if (changes.redemption) {
+      changes.redemption = { ...(await gamification.load()).redemption, ...changes.redemption };
+    }
+    const settings = await gamification.save(changes, req.user.uid);
+    return res.json({ success: true, settings });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// 🤝 Referrals
+const REFERRAL_ERROR_STATUS = { NOT_FOUND: 404, INVALID_CODE: 404, ALREADY_REFERRED: 409, PHONE_REUSED: 409 };
+
+// The signed-in user's referral code (created on first use), who referred them and what referrals earned
+app.get("/referrals/me", requireAuth, async (req, res) => {
+  try {
+    const code = await referrals.ensureCode(req.user.uid);
+    const user = (await usersRef.doc(req.user.uid).get()).data();
+    const stats = user.referralStats || {};
+    const referral = user.referral || null;
+    return res.json({
+      code,
+      referredBy: referral ? { code: referral.code, status: referral.status } : null,
+      joined: stats.joined || 0,
+      rewarded: stats.rewarded || 0,
+      earned: roundMoney(stats.earned || 0),
+    });
+  } catch (err) {
+    if (err instanceof ReferralError) return res.status(404).json({ error: err.message, code: err.code });
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a referral code after sign-up (once, before the first recycling credit)
+app.post("/referrals/attach", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({ code: z.string().min(1).max(32) });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const result = await referrals.attachCode(req.user.uid, parsed.data.code);
+    return res.json({ success: true, code: result.code });
+  } catch (err) {
+    if (err instanceof ReferralError) {
+      return res.status(REFERRAL_ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code });
+    }
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/admin/policies/referrals", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await referrals.load());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Update referral bonuses without a deploy
+app.put("/admin/policies/referrals", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      enabled: z.boolean().optional(),
+      referrerBonus: z.number().min(0).optional(),
+      refereeBonus: z.number().min(0).optional(),
+    }).strict();
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const policy = await referrals.save(parsed.data, req.user.uid);
+    return res.json({ success: true, policy });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Legacy: notify admins when a client created a request itself (new clients use POST /requests)
 app.post("/request-created", async (req, res) => {
   try {
     const { userId, requestId, wasteType } = req.body || {};
     if (!userId || !requestId) return res.status(400).json({ error: "Missing userId or requestId" });
     await sendToAdmins({
-      title: "New Pickup Request",
-      body: `User ${userId} requested pickup${wasteType ? ` (${wasteType})` : ""}`,
+      template: "new_pickup_request",
+      vars: { userId, wasteTypeSuffix: wasteType ? ` (${wasteType})` : "" },
     }, { requestId, userId });
     return res.json({ success: true });
   } catch (err) {
@@ -416,7 +997,7 @@ app.post("/request-created", async (req, res) => {
   }
 });
 
-// Notify user when their request is accepted by admin (called from admin client)
+// Legacy: notify user when an admin client accepted a request itself (use POST /requests/:id/accept)
 app.post("/request-accepted", requireAuth, assertAdmin, async (req, res) => {
   try {
     const { userId, requestId, wasteType } = req.body || {};
@@ -431,8 +1012,8 @@ app.post("/request-accepted", requireAuth, assertAdmin, async (req, res) => {
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
     });
     await sendToUserToken(userId, {
-      title: "Pickup Accepted",
-      body: `Your pickup request${wasteType ? ` (${wasteType})` : ""} was accepted.`,
+      template: "pickup_accepted",
+      vars: { wasteTypeSuffix: wasteType ? ` (${wasteType})` : "" },
     }, { route: "/recycling_requests", requestId });
     return res.json({ success: true });
   } catch (err) {
@@ -440,99 +1021,843 @@ app.post("/request-accepted", requireAuth, assertAdmin, async (req, res) => {
   }
 });
 
-// Recycling analytics: kg per waste type, totals, and last 12 months trend
-app.get("/analytics/recycling", async (req, res) => {
-  try {
-    // Aggregate from users for totals
-    const usersSnapshot = await usersRef.get();
-    let totalKg = 0;
-    let totalCo2 = 0;
-    let totalPaid = 0;
+// Map lifecycle and slot booking errors to HTTP responses
+function sendTransitionError(res, err) {
+  if (err instanceof RequestTransitionError) {
+    const status = { NOT_FOUND: 404, FORBIDDEN: 403, ILLEGAL_TRANSITION: 409 }[err.code] || 400;
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+  if (err instanceof SchedulingError) {
+    const status = { ZONE_NOT_FOUND: 404, SLOT_FULL: 409 }[err.code] || 400;
+    return res.status(status).json({ error: err.message, code: err.code });
+  }
+  return res.status(500).json({ error: err.message });
+}
 
-    usersSnapshot.forEach((doc) => {
-      const d = doc.data();
-      if (d.recycledWeight) totalKg += d.recycledWeight;
-      if (d.co2Saved) totalCo2 += d.co2Saved;
-    });
+const slotSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "date must be YYYY-MM-DD"),
+  start: z.string().regex(/^\d{2}:\d{2}$/, "start must be HH:MM"),
+}).strict();
+const zoneIdSchema = z.string().regex(/^[a-z0-9_-]{1,40}$/, "Zone ids use lowercase letters, digits, - and _");
 
-    // Aggregate amounts paid from wallet transactions: Recycle Credit
-    const txSnap = await walletRef.where("type", "==", "Recycle Credit").get();
-    let totalCo2FromTx = 0;
-    txSnap.forEach((doc) => {
-      const d = doc.data();
-      if (d.amount) totalPaid += d.amount;
-    });
+// Pickup time as shown in notifications
+function formatPickupTime(ts) {
+  return ts.toDate().toLocaleString("en-KE", { timeZone: "Africa/Nairobi" });
+}
 
-    // Per-type breakdown: infer from wallet_transactions details field and/or waste_prices
-    const typeBreakdown = {};
-    let totalKgFromTx = 0;
-    txSnap.forEach((doc) => {
-      const d = doc.data();
-      // Prefer explicit weight field when present; otherwise parse from details
-      let kg = 0;
-      let type = (d.wasteType || "").toString();
-      if (typeof d.weight === "number") {
-        kg = d.weight;
-      } else {
-        const details = (d.details || "").toString();
-        const match = details.match(/recycling\s+(\d+(?:\.\d+)?)kg\s+of\s+([A-Za-z\s]+)/i);
-        if (match) {
-          kg = parseFloat(match[1]);
-          if (!type) type = match[2].trim();
-        }
-      }
-      if (kg > 0) {
-        totalKgFromTx += kg;
-        totalCo2FromTx += kg * 1.5;
-        if (type) {
-          typeBreakdown[type] = (typeBreakdown[type] || 0) + kg;
-        }
-      }
+// Create a pickup request for the signed-in user, optionally booking one of the zone's slots
+// (see GET /zones/:id/slots). The zone is always the one covering the location, since it sets the price;
+// a zone sent with the request is only checked against it.
+app.post("/requests", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({
+      wasteType: z.string().min(1).max(60),
+      estimatedWeight: z.number().positive().optional(),
+      address: z.string().max(300).optional(),
+      location: z.object({ lat: z.number().min(-90).max(90), lng: z.number().min(-180).max(180) }).optional(),
+      notes: z.string().max(500).optional(),
+      zone: zoneIdSchema.optional(),
+      slot: slotSchema.optional(),
+    }).strict();
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { slot, zone: requestedZone, ...fields } = parsed.data;
+    const wasteType = normalizeWasteType(fields.wasteType);
+    const zone = fields.location ? await scheduling.zoneFor(fields.location) : null;
+    if (requestedZone && requestedZone !== zone) {
+      return res.status(400).json({ error: `The pickup location is not in zone ${requestedZone}`, code: "ZONE_MISMATCH" });
+    }
+    if (slot && !zone) {
+      return res.status(400).json({ error: "Share a location inside a service zone to book a slot", code: "NO_ZONE" });
+    }
+    const request = await recyclingRequests.create({
+      ...fields,
+      wasteType,
+      ...(zone ? { zone } : {}),
+      userId: req.user.uid,
+    }, req.user.uid, {
+      prepare: slot ? (tx) => scheduling.reserve(tx, { zoneId: zone, ...slot }) : null,
     });
-
-    // Monthly trend for last 12 months from wallet_transactions timestamps
-    const now = new Date();
-    const start = new Date(now.getFullYear(), now.getMonth() - 11, 1);
-    const monthly = {};
-    txSnap.forEach((doc) => {
-      const d = doc.data();
-      const ts = d.timestamp && d.timestamp.toDate ? d.timestamp.toDate() : null;
-      const details = (d.details || "").toString();
-      const m = details.match(/recycling\s+(\d+(?:\.\d+)?)kg/i);
-      const kg = m ? parseFloat(m[1]) : 0;
-      if (!ts || isNaN(kg)) return;
-      if (ts < start) return;
-      const key = `${ts.getFullYear()}-${String(ts.getMonth() + 1).padStart(2, "0")}`;
-      monthly[key] = (monthly[key] || 0) + kg;
+    try {
+      await sendToAdmins({
+        template: "new_pickup_request",
+        vars: { userId: req.user.uid, wasteTypeSuffix: ` (${wasteType})` },
+      }, { requestId: request.id, userId: req.user.uid });
+    } catch (_) {}
+    return res.status(201).json({
+      success: true,
+      request: { ...request, scheduledFor: request.scheduledFor ? request.scheduledFor.toDate().toISOString() : undefined },
     });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
 
-    // Normalize last 12 months keys
-    const months = [];
-    for (let i = 11; i >= 0; i--) {
-      const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-      months.push(key);
-    }
-    const monthlyKg = months.map((k) => ({ month: k, kg: monthly[k] || 0 }));
-
-    // Resolve totals: prefer sum of per-type kgs when available
-    const sumPerTypeKg = Object.values(typeBreakdown).reduce((acc, v) => acc + v, 0);
-    const resolvedKg = sumPerTypeKg > 0 ? sumPerTypeKg : (totalKgFromTx > 0 ? totalKgFromTx : totalKg);
-    const resolvedCo2 = sumPerTypeKg > 0 ? sumPerTypeKg * 1.5 : (totalCo2FromTx > 0 ? totalCo2FromTx : totalCo2);
-
-    return res.json({
-      totals: {
-        kg: resolvedKg,
-        co2: resolvedCo2,
-        amount_paid: totalPaid,
-      },
-      per_type_kg: typeBreakdown,
-      monthly_kg: monthlyKg,
-      timestamp: new Date().toISOString(),
-    });
+app.post("/requests/:id/accept", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const { request } = await recyclingRequests.transition(req.params.id, "accepted", { by: req.user.uid });
+    try {
+      await sendToUserToken(request.userId, {
+        template: "pickup_accepted",
+        vars: { wasteTypeSuffix: request.wasteType ? ` (${request.wasteType})` : "" },
+      }, { route: "/recycling_requests", requestId: req.params.id });
+    } catch (_) {}
+    return res.json({ success: true, status: request.status });
   } catch (err) {
-    console.error("Analytics error:", err);
-    return res.status(500).json({ error: "Failed to fetch recycling analytics" });
+    return sendTransitionError(res, err);
+  }
+});
+
+// Schedule (or reschedule) the pickup: into a zone slot, at a free-form time, or (with an empty body)
+// at the slot the user booked. force books a full slot anyway. Slots are booked in the zone covering the
+// pickup location (it sets the price); a zone in the body is only checked against it.
+app.post("/requests/:id/schedule", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      scheduledFor: z.string().datetime({ offset: true }).optional(),
+      slot: slotSchema.optional(),
+      zone: zoneIdSchema.optional(),
+      force: z.boolean().optional(),
+    }).strict().refine((d) => !(d.slot && d.scheduledFor), "Pass either slot or scheduledFor");
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { slot, zone, force } = parsed.data;
+    let previous = null;
+    const { from, request } = await recyclingRequests.transition(req.params.id, "scheduled", {
+      by: req.user.uid,
+      prepare: async (tx, current) => {
+        previous = current.scheduledFor || null;
+        if (slot) {
+          const zoneId = current.location ? await scheduling.zoneFor(current.location) : (current.zone || null);
+          if (!zoneId) throw new SchedulingError("NO_ZONE", "The pickup location is not inside a service zone");
+          if (zone && zone !== zoneId) throw new SchedulingError("ZONE_MISMATCH", `The pickup location is not in zone ${zone}`);
+          const same = current.slot && current.zone === zoneId && current.slot.date === slot.date && current.slot.start === slot.start;
+          if (same) return {};
+          const booked = await scheduling.reserve(tx, { zoneId, ...slot, force: !!force });
+          scheduling.release(tx, current);
+          return booked;
+        }
+        if (parsed.data.scheduledFor) {
+          // A free-form time gives up any booked slot
+          scheduling.release(tx, current);
+          return { scheduledFor: admin.firestore.Timestamp.fromDate(new Date(parsed.data.scheduledFor)), slot: null };
+        }
+        return {};
+      },
+    });
+    const moved = previous && previous.toMillis() !== request.scheduledFor.toMillis();
+    try {
+      const notification = {
+        template: from === "scheduled" || moved ? "pickup_rescheduled" : "pickup_scheduled",
+        vars: {
+          wasteTypeSuffix: request.wasteType ? ` (${request.wasteType})` : "",
+          scheduledFor: formatPickupTime(request.scheduledFor),
+        },
+      };
+      if (from !== "scheduled" || moved) {
+        await sendToUserToken(request.userId, notification, { route: "/recycling_requests", requestId: req.params.id });
+        if (moved && request.assignedCollector) {
+          await sendToUserToken(request.assignedCollector, notification, { route: "/collector/jobs", requestId: req.params.id });
+        }
+      }
+    } catch (_) {}
+    return res.json({
+      success: true,
+      status: request.status,
+      scheduledFor: request.scheduledFor.toDate().toISOString(),
+      slot: request.slot || null,
+    });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+const weighInSchema = z.object({
+  weight: z.number().positive().optional(),
+  grade: z.enum(GRADES).optional(),
+  // Storage path or URL of a photo of the weighed load
+  photo: z.string().min(1).max(500).optional(),
+}).strict().refine((d) => d.photo === undefined || d.weight !== undefined, "A photo is recorded with a weight");
+
+/**
+ * Field work (collection and weigh-in) is done by admins or by the collector the request is assigned to
+ * @param {Object} user - Decoded ID token
+ * @returns {Promise<Function|null>} An authorize callback for transition(), or null when the user may not do field work
+ */
+async function fieldWorkAuthorizer(user) {
+  if (await isAdmin(user)) return () => {};
+  if (!(await isCollector(user))) return null;
+  return (current) => {
+    if (current.assignedCollector !== user.uid) {
+      throw new RequestTransitionError("FORBIDDEN", "This pickup is not assigned to you");
+    }
+  };
+}
+
+// Fields to store with a weigh-in; the weigh-in is what crediting uses
+function weighInChanges(data, by) {
+  if (data.weight === undefined) return data;
+  const weighIn = { weight: data.weight, by, at: admin.firestore.Timestamp.now() };
+  if (data.grade) weighIn.grade = data.grade;
+  if (data.photo) weighIn.photo = data.photo;
+  return { ...data, weighIn };
+}
+
+// Waste picked up; the weight and grade can be recorded here or on completion
+app.post("/requests/:id/collected", requireAuth, async (req, res) => {
+  try {
+    const parsed = weighInSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const authorize = await fieldWorkAuthorizer(req.user);
+    if (!authorize) return res.status(403).json({ error: "Admins or collectors only" });
+    const { request } = await recyclingRequests.transition(req.params.id, "collected", {
+      by: req.user.uid,
+      changes: weighInChanges(parsed.data, req.user.uid),
+      authorize,
+    });
+    return res.json({ success: true, status: request.status });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+// Complete the request and credit the user
+app.post("/requests/:id/complete", requireAuth, async (req, res) => {
+  try {
+    const parsed = weighInSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const authorize = await fieldWorkAuthorizer(req.user);
+    if (!authorize) return res.status(403).json({ error: "Admins or collectors only" });
+    const { request } = await recyclingRequests.transition(req.params.id, "completed", {
+      by: req.user.uid,
+      changes: weighInChanges(parsed.data, req.user.uid),
+      authorize,
+    });
+    // The request stays completed if crediting fails; /reconcile-completions picks it up
+    let credit = { credited: false };
+    try {
+      credit = await creditCompletedRequest(req.params.id, "api");
+    } catch (creditErr) {
+      console.error("Credit failed for", req.params.id, creditErr.message);
+    }
+    return res.json({ success: true, status: request.status, credited: credit.credited, amount: credit.amount });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+// 🗺️ Service zones and pickup slots
+const zoneSchema = z.object({
+  name: z.string().min(1).max(80).optional(),
+  active: z.boolean().optional(),
+  center: z.object({ lat: z.number().min(-90).max(90), lng: z.number().min(-180).max(180) }).optional(),
+  radiusKm: z.number().positive().max(200).optional(),
+  // ISO weekdays the zone is served on: 1 (Monday) to 7 (Sunday); omit for every day
+  days: z.array(z.number().int().min(1).max(7)).optional(),
+  slots: z.array(z.object({
+    start: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "start must be HH:MM"),
+    end: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "end must be HH:MM"),
+    capacity: z.number().int().min(0),
+  }).strict().refine((s) => s.end > s.start, "A slot must end after it starts")).optional(),
+}).strict();
+
+// Active zones, for users picking where and when to be collected
+app.get("/zones", requireAuth, async (req, res) => {
+  try {
+    const zones = await scheduling.listZones();
+    return res.json({
+      zones: zones.map((z) => ({ id: z.id, name: z.name || z.id, center: z.center || null, radiusKm: z.radiusKm || null })),
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Bookable slots with remaining capacity; ?from=YYYY-MM-DD&days=7
+app.get("/zones/:id/slots", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({
+      from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "from must be YYYY-MM-DD").optional(),
+      days: z.coerce.number().int().min(1).max(31).optional(),
+    });
+    const parsed = schema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const days = await scheduling.availability(req.params.id, parsed.data);
+    return res.json({ zone: req.params.id, days });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+app.get("/admin/zones", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json({ zones: await scheduling.listZones({ includeInactive: true }) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Create or update a zone; slots replace the zone's existing slot list
+app.put("/admin/zones/:id", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const id = zoneIdSchema.safeParse(req.params.id);
+    const parsed = zoneSchema.safeParse(req.body);
+    if (!id.success || !parsed.success) {
+      return res.status(400).json({ error: (id.success ? parsed : id).error.issues[0].message });
+    }
+    const zone = await scheduling.saveZone(id.data, parsed.data, req.user.uid);
+    return res.json({ success: true, zone });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// 🚚 Collectors
+// Summary of a request for a collector's job list
+function serializeJob(id, r) {
+  const iso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id,
+    userId: r.userId,
+    status: r.status,
+    wasteType: r.wasteType,
+    estimatedWeight: r.estimatedWeight || null,
+    address: r.address || null,
+    location: r.location || null,
+    notes: r.notes || null,
+    scheduledFor: iso(r.scheduledFor),
+    zone: r.zone || null,
+    slot: r.slot || null,
+    assignedAt: iso(r.assignedAt),
+    weighIn: r.weighIn ? { ...r.weighIn, at: iso(r.weighIn.at) } : null,
+  };
+}
+
+// Assign (or reassign) a request to a collector
+app.post("/requests/:id/assign", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({ collectorId: z.string().min(1) });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { collectorId } = parsed.data;
+    const collector = await usersRef.doc(collectorId).get();
+    if (!collector.exists || collector.data().role !== "collector") {
+      return res.status(400).json({ error: "Not a collector" });
+    }
+    const { request, previousCollector } = await recyclingRequests.assign(req.params.id, collectorId, req.user.uid);
+    if (previousCollector !== collectorId) {
+      try {
+        await sendToUserToken(collectorId, {
+          template: "pickup_assigned",
+          vars: {
+            wasteTypeSuffix: request.wasteType ? ` (${request.wasteType})` : "",
+            addressSuffix: request.address ? ` at ${request.address}` : "",
+          },
+        }, { route: "/collector/jobs", requestId: req.params.id });
+      } catch (_) {}
+    }
+    return res.json({ success: true, collectorId, previousCollector });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+// The signed-in collector's jobs; ?status=accepted,scheduled (default: all open jobs)
+app.get("/collector/jobs", requireAuth, assertCollector, async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(",").map((s) => s.trim()) : undefined;
+    const jobs = await recyclingRequests.listAssigned(req.user.uid, statuses);
+    return res.json({ jobs: jobs.map((j) => serializeJob(j.id, j)) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/collector/stats", requireAuth, assertCollector, async (req, res) => {
+  try {
+    return res.json(await recyclingRequests.collectorStats(req.user.uid));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Grant or remove the collector role
+app.put("/admin/collectors/:uid", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({ active: z.boolean() });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const userRef = usersRef.doc(req.params.uid);
+    const snap = await userRef.get();
+    if (!snap.exists) return res.status(404).json({ error: "User not found" });
+    if (snap.data().role === "admin") return res.status(409).json({ error: "User is an admin" });
+    await userRef.update({
+      role: parsed.data.active ? "collector" : admin.firestore.FieldValue.delete(),
+      roleUpdatedBy: req.user.uid,
+      roleUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.json({ success: true, uid: req.params.uid, collector: parsed.data.active });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Collectors with their pickup statistics
+app.get("/admin/collectors", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const snap = await usersRef.where("role", "==", "collector").get();
+    const collectors = await Promise.all(snap.docs.map(async (d) => ({
+      name: d.data().name || d.data().displayName || null,
+      phoneNumber: d.data().phoneNumber || null,
+      ...(await recyclingRequests.collectorStats(d.id)),
+    })));
+    return res.json({ collectors });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/admin/collectors/:uid/stats", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await recyclingRequests.collectorStats(req.params.uid));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// A collector's pickups for a Nairobi day, ordered slot by slot and then by distance
+async function dailyRoute(collectorId, date, origin) {
+  const jobs = await recyclingRequests.listAssigned(collectorId, ["accepted", "scheduled"]);
+  const stops = jobs
+    .filter((j) => (j.slot ? j.slot.date : j.scheduledFor && j.scheduledFor.toDate && periodKeys(j.scheduledFor.toDate()).day) === date)
+    .map((j) => ({
+      ...serializeJob(j.id, j),
+      slotStart: j.slot
+        ? j.slot.start
+        : j.scheduledFor.toDate().toLocaleTimeString("en-GB", { timeZone: "Africa/Nairobi", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }),
+    }));
+  const route = orderRoute(stops, origin);
+  return {
+    date,
+    collectorId,
+    totalKm: route.totalKm,
+    stops: route.stops.map(({ slotStart, ...stop }) => stop),
+    unrouted: route.unrouted.map(({ slotStart, ...stop }) => stop),
+  };
+}
+
+const routeQuerySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "date must be YYYY-MM-DD").optional(),
+  lat: z.coerce.number().min(-90).max(90).optional(),
+  lng: z.coerce.number().min(-180).max(180).optional(),
+}).refine((q) => (q.lat === undefined) === (q.lng === undefined), "Pass both lat and lng");
+
+// The signed-in collector's route for a day (default today); ?lat&lng start from the collector's position
+app.get("/collector/route", requireAuth, assertCollector, async (req, res) => {
+  try {
+    const parsed = routeQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { date = periodKeys(new Date()).day, lat, lng } = parsed.data;
+    return res.json(await dailyRoute(req.user.uid, date, lat === undefined ? null : { lat, lng }));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/admin/collectors/:uid/route", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const parsed = routeQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { date = periodKeys(new Date()).day, lat, lng } = parsed.data;
+    return res.json(await dailyRoute(req.params.uid, date, lat === undefined ? null : { lat, lng }));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel a request: owners can cancel their own until it is collected, admins any open request
+app.post("/requests/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({ reason: z.string().max(300).optional() });
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const byAdmin = await isAdmin(req.user);
+    const { request } = await recyclingRequests.transition(req.params.id, "cancelled", {
+      by: req.user.uid,
+      reason: parsed.data.reason,
+      changes: { cancellationReason: parsed.data.reason || null },
+      authorize: (current) => {
+        if (!byAdmin && current.userId !== req.user.uid) {
+          throw new RequestTransitionError("FORBIDDEN", "Not your request");
+        }
+      },
+      prepare: async (tx, current) => {
+        scheduling.release(tx, current);
+        return {};
+      },
+    });
+    try {
+      if (byAdmin) {
+        await sendToUserToken(request.userId, {
+          template: "pickup_cancelled",
+          vars: {
+            wasteTypeSuffix: request.wasteType ? ` (${request.wasteType})` : "",
+            reason: parsed.data.reason || "",
+          },
+        }, { route: "/recycling_requests", requestId: req.params.id });
+      } else {
+        await sendToAdmins({
+          template: "pickup_cancelled_admin",
+          vars: { userId: req.user.uid, requestId: req.params.id },
+        }, { requestId: req.params.id });
+      }
+    } catch (_) {}
+    return res.json({ success: true, status: request.status });
+  } catch (err) {
+    return sendTransitionError(res, err);
+  }
+});
+
+// Renders a broadcast for one user: the stored template in their language, or the free text
+async function renderBroadcastMessage(broadcast, userId, d) {
+  const vars = {
+    name: d.name || d.displayName || "",
+    phoneNumber: d.phoneNumber,
+    walletBalance: typeof d.walletBalance === "number" ? d.walletBalance.toFixed(2) : "0.00",
+    recycledWeight: d.recycledWeight || 0,
+  };
+  if (broadcast.template) return (await templates.render(broadcast.template, vars, d.language)).body;
+  return interpolate(broadcast.message, vars);
+}
+
+// Admin broadcast: queue a templated SMS to a segment of users. The broadcast is sent in pages by the
+// broadcast worker (scheduled, or /broadcasts/process); follow it with GET /admin/broadcasts/:id.
+app.post("/admin/broadcast", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      segment: z.enum(BROADCAST_SEGMENTS),
+      // Either free text with {{placeholders}} (the older {placeholder} form still works) or a template name
+      message: z.string().min(1).max(480).optional(),
+      template: z.string().min(1).optional(),
+      minBalance: z.number().min(0).optional(),
+      wasteType: z.string().min(1).optional(),
+      dryRun: z.boolean().optional(),
+    });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { segment, message, template, minBalance, wasteType, dryRun = false } = parsed.data;
+    if (!message && !template) {
+      return res.status(400).json({ error: "message or template is required" });
+    }
+    if (segment === "wallet_balance_above" && minBalance === undefined) {
+      return res.status(400).json({ error: "minBalance is required for wallet_balance_above segment" });
+    }
+    if (segment === "waste_type" && !wasteType) {
+      return res.status(400).json({ error: "wasteType is required for waste_type segment" });
+    }
+    if (template && !(await templates.exists(template))) {
+      return res.status(400).json({ error: `Unknown template: ${template}` });
+    }
+
+    const broadcast = await broadcasts.start({
+      segment,
+      message: message || null,
+      template: template || null,
+      minBalance: minBalance === undefined ? null : minBalance,
+      wasteType: wasteType ? normalizeWasteType(wasteType) : null,
+      dryRun,
+    }, req.user.uid);
+    console.log(`📣 Broadcast ${broadcast.id} to ${segment} queued by ${req.user.uid}${dryRun ? " (dry run)" : ""}`);
+    return res.status(202).json({ success: true, broadcastId: broadcast.id, broadcast });
+  } catch (err) {
+    console.error("❌ Broadcast Error:", err);
+    return res.status(500).json({ error: "Broadcast failed", details: err.message });
+  }
+});
+
+app.get("/admin/broadcasts", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 20, 100));
+    return res.json({ broadcasts: await broadcasts.list(limit) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Broadcast progress: counts so far plus its recipients (?status=failed to list failures)
+app.get("/admin/broadcasts/:id", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 200, 1000));
+    return res.json(await broadcasts.getReport(req.params.id, { status: req.query.status || null, limit }));
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+app.post("/admin/broadcasts/:id/cancel", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, broadcast: await broadcasts.cancel(req.params.id, req.user.uid) });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Broadcast worker: continue queued broadcasts, or one broadcast when broadcastId is given
+// (GET is for the scheduled cron, POST for manual runs)
+async function processBroadcastsHandler(req, res) {
+  try {
+    const { broadcastId } = { ...req.query, ...(req.body || {}) };
+    if (broadcastId) {
+      return res.json({ success: true, broadcasts: [await broadcasts.run(String(broadcastId))] });
+    }
+    return res.json({ success: true, broadcasts: await broadcasts.processDue() });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : (/in progress/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
+  }
+}
+app.get("/broadcasts/process", requireInternalOrAdmin, processBroadcastsHandler);
+app.post("/broadcasts/process", requireInternalOrAdmin, processBroadcastsHandler);
+
+// Map provider delivery statuses (Africa's Talking, FastMessage) onto our log statuses
+function normalizeDeliveryStatus(raw) {
+  const status = String(raw || "").toLowerCase();
+  if (/undeliv|fail|reject|expired|absent|blacklist|invalid/.test(status)) return "failed";
+  if (/success|deliver/.test(status)) return "delivered";
+  return "sent";
+}
+
+// SMS delivery-report callback (providers post form-encoded or JSON bodies)
+app.post("/sms/delivery-report", express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    // Optional auth: providers cannot set headers, so accept the secret as a query param too
+    if (SMS_DLR_SECRET) {
+      const provided = req.headers["x-dlr-secret"] || req.query.secret;
+      if (!provided || String(provided) !== SMS_DLR_SECRET) {
+        return res.status(401).send("Unauthorized");
+      }
+    }
+    const body = req.body || {};
+    const messageId = body.id || body.messageId || body.messageid || body.message_id;
+    const providerStatus = body.status || body.deliveryStatus || body.description || "";
+    if (!messageId) {
+      return res.status(400).send("Missing message id");
+    }
+
+    const snap = await smsLogsRef.where("providerMessageId", "==", String(messageId)).limit(1).get();
+    if (snap.empty) {
+      console.warn(`⚠️ Delivery report for unknown message ${messageId}`);
+      return res.status(200).send("No matching message found");
+    }
+
+    const status = normalizeDeliveryStatus(providerStatus);
+    const update = {
+      status,
+      providerStatus: String(providerStatus),
+      failureReason: body.failureReason || null,
+      networkCode: body.networkCode || body.networkid || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status,
+        providerStatus: String(providerStatus),
+        receivedAt: new Date().toISOString(),
+      }),
+    };
+    if (status === "delivered") update.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+    await snap.docs[0].ref.update(update);
+    return res.status(200).send("Delivery report processed");
+  } catch (err) {
+    console.error("❌ Delivery report error:", err);
+    return res.status(500).send("Internal server error");
+  }
+});
+
+// Admin query over the outbound SMS log with filters and pagination
+app.get("/admin/sms-logs", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const {
+      phone = "",
+      purpose = "any",
+      status = "any",
+      userId = "",
+      start,
+      end,
+      limit = "100",
+      startAfter: startAfterId,
+    } = req.query;
+    if (purpose !== "any" && !SMS_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: `purpose must be one of: any, ${SMS_PURPOSES.join(", ")}` });
+    }
+
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit, 10) || 100, 500));
+
+    let query = smsLogsRef.orderBy("createdAt", "desc");
+    if (start) {
+      const startDate = new Date(start);
+      if (!isNaN(startDate.getTime())) {
+        query = query.where("createdAt", ">=", admin.firestore.Timestamp.fromDate(startDate));
+      }
+    }
+    if (end) {
+      const endDate = new Date(end);
+      if (!isNaN(endDate.getTime())) {
+        query = query.where("createdAt", "<=", admin.firestore.Timestamp.fromDate(endDate));
+      }
+    }
+    if (startAfterId) {
+      const docSnap = await smsLogsRef.doc(startAfterId).get();
+      if (docSnap.exists) {
+        query = query.startAfter(docSnap);
+      }
+    }
+
+    const snap = await query.limit(parsedLimit).get();
+    const normalizedPhone = phone ? normalizeKenyanNumber(phone) : "";
+    // In-memory filters to avoid composite index requirements
+    const items = snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((it) => {
+        if (purpose !== "any" && it.purpose !== purpose) return false;
+        if (status !== "any" && it.status !== status) return false;
+        if (userId && it.userId !== userId) return false;
+        if (normalizedPhone && it.mobile !== normalizedPhone) return false;
+        return true;
+      });
+
+    const nextPageToken = snap.size === parsedLimit ? snap.docs[snap.docs.length - 1].id : null;
+    return res.json({ items, nextPageToken, count: items.length });
+  } catch (err) {
+    console.error("SMS log query error:", err);
+    return res.status(500).json({ error: "Failed to query SMS logs", details: err.message });
+  }
+});
+
+// Set the signed-in user's preferred language for SMS and push messages
+app.post("/users/language", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({ language: z.enum(SUPPORTED_LANGUAGES) });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    await usersRef.doc(req.user.uid).set({ language: parsed.data.language }, { merge: true });
+    return res.json({ success: true, language: parsed.data.language });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// List message templates (built-in copy and Firestore overrides)
+app.get("/admin/templates", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const items = await templates.list();
+    return res.json({ items, languages: SUPPORTED_LANGUAGES });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to list templates", details: err.message });
+  }
+});
+
+// Create or update a template's copy without redeploying
+app.put("/admin/templates/:name", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const translation = z.object({
+      title: z.string().min(1).max(200).optional(),
+      body: z.string().min(1).max(1000),
+    });
+    const schema = z.object(Object.fromEntries(SUPPORTED_LANGUAGES.map((lang) => [lang, translation.optional()])));
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const name = req.params.name;
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      return res.status(400).json({ error: "Template name must be lowercase letters, digits or underscores" });
+    }
+    const translations = Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v));
+    if (Object.keys(translations).length === 0) {
+      return res.status(400).json({ error: "At least one language is required" });
+    }
+    await templates.save(name, translations, req.user.uid);
+    return res.json({ success: true, name });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to save template", details: err.message });
+  }
+});
+
+// Recycling analytics: kg per waste type, totals, and a trend (by default the last 12 months)
+app.get("/analytics/recycling", async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res, ["wasteType", "region"], ["transactions"]);
+    if (!range) return;
+    const recycling = (range.q.ranged ? nest(range.totals) : await rollups.totals()).recycling || {};
+    const typeBreakdown = {};
+    const perTypeImpact = {};
+    Object.entries(recycling.byWasteType || {}).forEach(([type, v]) => {
+      if (!v.kg) return;
+      typeBreakdown[type] = v.kg;
+      perTypeImpact[type] = { co2: v.co2 || 0, water: v.water || 0, energy: v.energy || 0 };
+    });
+
+    const series = range.buckets.map((b) => {
+      const entry = {
+        period: b.period,
+        start: b.start,
+        requests: b.flat["recycling.requests"] || 0,
+        kg: b.flat["recycling.kg"] || 0,
+        co2: b.flat["recycling.co2"] || 0,
+        water_litres: b.flat["recycling.water"] || 0,
+        energy_kwh: b.flat["recycling.energy"] || 0,
+        amount_paid: roundMoney(b.flat["recycling.amount"] || 0),
+      };
+      if (range.q.groupBy.includes("wasteType")) entry.by_waste_type = pick(b.flat, "recycling.byWasteType");
+      if (range.q.groupBy.includes("region")) entry.by_region = pick(b.flat, "recycling.byZone");
+      return entry;
+    });
+
+    return res.json({
+      totals: {
+        kg: recycling.kg || 0,
+        co2: recycling.co2 || 0,
+        water_litres: recycling.water || 0,
+        energy_kwh: recycling.energy || 0,
+        amount_paid: roundMoney(recycling.amount || 0),
+      },
+      per_type_kg: typeBreakdown,
+      per_type_impact: perTypeImpact,
+      // Kept for existing dashboards; same data as series when granularity is month
+      monthly_kg: range.q.granularity === "month" ? series.map((e) => ({ month: e.period, kg: e.kg })) : undefined,
+      series,
+      query: describeQuery(range.q),
+      source: range.source,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("Analytics error:", err);
+    return res.status(500).json({ error: "Failed to fetch recycling analytics" });
   }
 });
 
@@ -551,6 +1876,16 @@ function normalizeKenyanNumber(input) {
   return number;
 }
 
+// Stamp phoneChangedAt when a user replaces an existing number (starts the withdrawal cooling-off)
+function phoneChangeFields(userSnap, normalizedPhone) {
+  const previous = userSnap.exists ? userSnap.data().phoneNumber : null;
+  if (!previous || previous === normalizedPhone) return {};
+  return {
+    phoneChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+    previousPhoneNumber: previous,
+  };
+}
+
 // Check verification status endpoint
 app.post("/check-verification", async (req, res) => {
   try {
@@ -595,7 +1930,10 @@ app.post("/check-verification", async (req, res) => {
 // OTP endpoints with rate limiting
 app.post("/send-otp", rateLimit, async (req, res) => {
   try {
-    const schema = z.object({ phoneNumber: z.string().min(10) });
+    const schema = z.object({
+      phoneNumber: z.string().min(10),
+      language: z.string().optional(),
+    });
     const parsed = schema.safeParse(req.body);
     if (!parsed.success) {
       return res.status(400).json({ error: parsed.error.errors[0].message });
@@ -603,6 +1941,14 @@ app.post("/send-otp", rateLimit, async (req, res) => {
     
     const { phoneNumber } = parsed.data;
     const normalizedPhone = normalizeKenyanNumber(phoneNumber);
+    // Prefer the language the client asks for, then the stored preference of the number's owner
+    let language = parsed.data.language;
+    let ownerUid = null;
+    const ownerQuery = await usersRef.where("phoneNumber", "==", normalizedPhone).limit(1).get();
+    if (!ownerQuery.empty) {
+      ownerUid = ownerQuery.docs[0].id;
+      if (!language) language = ownerQuery.docs[0].data().language;
+    }
     const otp = Math.floor(100000 + Math.random() * 900000);
     const expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes expiry
     
@@ -616,7 +1962,7 @@ app.post("/send-otp", rateLimit, async (req, res) => {
     });
     
     // Send OTP via SMS
-    const response = await smsService.sendSms(normalizedPhone, `Your verification code is ${otp}`);
+    const response = await smsService.sendTemplate(normalizedPhone, "otp", { otp }, { purpose: "otp", userId: ownerUid, language });
     console.log(`📱 OTP ${otp} sent to ${normalizedPhone}`);
     
     return res.json({ success: true, message: "OTP sent", response });
@@ -632,14 +1978,15 @@ app.post("/verify-otp", rateLimit, async (req, res) => {
       phoneNumber: z.string().min(10),
       otp: z.string().min(6).max(6),
       userId: z.string().optional(),
+      referralCode: z.string().max(32).optional(),
     });
     
     const parsed = schema.safeParse(req.body);
     if (!parsed.success) {
-      return res.status(400).json({ error: parsed.error.errors[0].message });
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
     
-    const { phoneNumber, otp, userId } = parsed.data;
+    const { phoneNumber, otp, userId, referralCode } = parsed.data;
     const normalizedPhone = normalizeKenyanNumber(phoneNumber);
     
     console.log(`🔍 Verifying OTP for ${normalizedPhone}`);
@@ -692,380 +2039,1058 @@ app.post("/verify-otp", rateLimit, async (req, res) => {
     console.log(`✅ OTP verified successfully for ${normalizedPhone}`);
     
     // If a specific userId is provided, bind phone to that user with uniqueness
+    let referral = null;
     if (userId) {
-      await db.runTransaction(async (tx) => {
+      referral = await db.runTransaction(async (tx) => {
         const mapRef = phoneNumbersRef.doc(normalizedPhone);
-        const mapSnap = await tx.get(mapRef);
+        const userRef = usersRef.doc(userId);
+        const [mapSnap, userSnap] = await Promise.all([tx.get(mapRef), tx.get(userRef)]);
         if (mapSnap.exists && mapSnap.data().ownerUid && mapSnap.data().ownerUid !== userId) {
           throw new Error("Phone number already in use");
         }
+        // A bad referral code is reported back without failing the verification
+        let attached = null;
+        if (referralCode) {
+          try {
+            attached = await referrals.attach(tx, {
+              userId,
+              user: userSnap.exists ? userSnap.data() : null,
+              code: referralCode,
+              phone: normalizedPhone,
+            });
+          } catch (e) {
+            if (!(e instanceof ReferralError)) throw e;
+            attached = { attached: false, code: e.code, error: e.message };
+          }
+        }
         tx.set(mapRef, {
           ownerUid: userId,
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         }, { merge: true });
 
-        const userRef = usersRef.doc(userId);
         tx.set(userRef, {
           phoneNumber: normalizedPhone,
           phoneVerified: true,
           lastVerified: admin.firestore.FieldValue.serverTimestamp(),
+          ...phoneChangeFields(userSnap, normalizedPhone),
         }, { merge: true });
+        // New user documents are counted by the users trigger; only the first verification counts here
+        if (!userSnap.exists || userSnap.data().phoneVerified !== true) {
+          rollups.recordUser(tx, { verified: true });
+        }
+        return attached;
       });
       console.log(`🔒 Bound phone ${normalizedPhone} to user ${userId}`);
     } else {
       // No userId context; only return verified=true so client can bind securely later
       console.log("⚠️ No userId provided during verify-otp; skipping binding.");
     }
-    
-    return res.json({ 
-      success: true,
-      verified: true, // Add this for Flutter compatibility
-      message: "OTP verified successfully",
-      phoneVerified: true,
-      phoneNumber: normalizedPhone
-    });
-    
+    
+    return res.json({ 
+      success: true,
+      verified: true, // Add this for Flutter compatibility
+      message: "OTP verified successfully",
+      phoneVerified: true,
+      phoneNumber: normalizedPhone,
+      ...(referral ? { referral } : {}),
+    });
+    
+  } catch (err) {
+    console.error("❌ Verify OTP Error:", err);
+    return res.status(500).json({ error: "Verification failed", details: err.message });
+  }
+});
+
+// Reserve (bind) a phone number to a user atomically and uniquely
+app.post("/reserve-phone", async (req, res) => {
+  try {
+    const schema = z.object({
+      userId: z.string(),
+      phoneNumber: z.string().min(10),
+    });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.errors[0].message });
+    }
+    const { userId, phoneNumber } = parsed.data;
+    const normalizedPhone = normalizeKenyanNumber(phoneNumber);
+
+    await db.runTransaction(async (tx) => {
+      const mapRef = phoneNumbersRef.doc(normalizedPhone);
+      const userRef = usersRef.doc(userId);
+      const [mapSnap, userSnap] = await Promise.all([tx.get(mapRef), tx.get(userRef)]);
+      if (mapSnap.exists && mapSnap.data().ownerUid && mapSnap.data().ownerUid !== userId) {
+        throw new Error("Phone number already in use");
+      }
+      tx.set(mapRef, {
+        ownerUid: userId,
+        reservedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      tx.set(userRef, {
+        phoneNumber: normalizedPhone,
+        ...phoneChangeFields(userSnap, normalizedPhone),
+      }, { merge: true });
+    });
+
+    return res.json({ success: true, phoneNumber: normalizedPhone });
+  } catch (err) {
+    const code = /already in use/i.test(err.message) ? 409 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Send a withdrawal policy rejection with machine-readable reason codes
+function sendPolicyViolation(res, err) {
+  return res.status(422).json({ error: "Withdrawal not allowed", code: err.code, reasons: err.reasons });
+}
+
+// Preview a withdrawal: fee, total debit and any policy rejections, without moving money
+app.post("/withdrawals/quote", requireAuth, async (req, res) => {
+  try {
+    const schema = z.object({ amount: z.number().positive() });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const userSnap = await usersRef.doc(req.user.uid).get();
+    if (!userSnap.exists) return res.status(404).json({ error: "User not found" });
+    const { allowed, reasons, fee, totalDebit } = await withdrawalPolicy.evaluate({
+      userId: req.user.uid,
+      user: userSnap.data(),
+      amount: parsed.data.amount,
+    });
+    return res.json({ allowed, reasons, amount: parsed.data.amount, fee, totalDebit });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Read the effective withdrawal policy
+app.get("/admin/policies/withdrawals", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await withdrawalPolicy.load());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Update withdrawal limits, fees and eligibility rules without a deploy
+app.put("/admin/policies/withdrawals", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      minAmount: z.number().min(0).optional(),
+      maxAmount: z.number().positive().optional(),
+      dailyLimit: z.number().positive().optional(),
+      monthlyLimit: z.number().positive().optional(),
+      requirePhoneVerified: z.boolean().optional(),
+      phoneChangeCoolingOffHours: z.number().min(0).optional(),
+      approvalThreshold: z.number().positive().nullable().optional(),
+      fees: z.array(z.object({
+        upTo: z.number().positive().optional(),
+        fee: z.number().min(0).optional(),
+        percent: z.number().min(0).max(100).optional(),
+      })).optional(),
+    }).strict();
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const current = await withdrawalPolicy.load();
+    const next = { ...current, ...parsed.data };
+    if (next.minAmount > next.maxAmount) {
+      return res.status(400).json({ error: "minAmount cannot exceed maxAmount" });
+    }
+    if (next.dailyLimit > next.monthlyLimit) {
+      return res.status(400).json({ error: "dailyLimit cannot exceed monthlyLimit" });
+    }
+    const policy = await withdrawalPolicy.save(parsed.data, req.user.uid);
+    return res.json({ success: true, policy });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Withdraw endpoint
+app.post("/withdraw", idempotent, async (req, res) => {
+  try {
+    const schema = z.object({
+      userId: z.string(),
+      amount: z.number().positive(),
+    });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { userId, amount } = parsed.data;
+    const userRef = usersRef.doc(userId);
+    const fee = await db.runTransaction(async (tx) => {
+      const userDoc = await tx.get(userRef);
+      if (!userDoc.exists) throw new Error("User not found");
+      const { fee } = await withdrawalPolicy.enforce({ userId, user: userDoc.data(), amount, tx });
+      const { walletTransactionId } = ledger.withdraw(tx, { userId, amount, extra: { fee } });
+      if (fee > 0) ledger.chargeFee(tx, { userId, amount: fee, withdrawalId: walletTransactionId });
+      return fee;
+    });
+    return res.json({ success: true, fee });
+  } catch (err) {
+    if (err instanceof PolicyViolationError) return sendPolicyViolation(res, err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// B2C endpoint: deduct wallet, log transaction, then call Python payout service
+app.post("/b2c", requireAuth, idempotent, async (req, res) => {
+  try {
+    const schema = z.object({
+      user_id: z.string(),
+      phone: z.string().min(10),
+      amount: z.number().positive(),
+    });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { user_id, phone, amount } = parsed.data;
+    if (req.user.uid !== user_id) {
+      return res.status(403).json({ error: "Forbidden: user mismatch" });
+    }
+    const normalizedPhone = normalizeKenyanNumber(phone);
+    const userRef = usersRef.doc(user_id);
+    const { withdrawalId, needsApproval } = await db.runTransaction(async (tx) => {
+      const userSnap = await tx.get(userRef);
+      if (!userSnap.exists) throw new Error("User not found");
+      const { fee, policy } = await withdrawalPolicy.enforce({ userId: user_id, user: userSnap.data(), amount, tx });
+      // Large withdrawals are debited now but held in clearing until an admin approves them
+      const needsApproval = policy.approvalThreshold != null && amount > policy.approvalThreshold;
+      const extra = needsApproval ? { fee, status: "pending_approval" } : { fee };
+      const { walletTransactionId } = ledger.withdraw(tx, { userId: user_id, amount, pending: true, method: "B2C", phone: normalizedPhone, extra });
+      if (fee > 0) ledger.chargeFee(tx, { userId: user_id, amount: fee, withdrawalId: walletTransactionId });
+      // The payout job is committed with the debit, so the money is never gone without a job to pay it out
+      if (!needsApproval) {
+        payouts.enqueue(tx, { withdrawalId: walletTransactionId, userId: user_id, phone: normalizedPhone, amount });
+      }
+      return { withdrawalId: walletTransactionId, needsApproval };
+    });
+    if (needsApproval) {
+      await sendToAdmins({
+        template: "withdrawal_approval_required",
+        vars: { userId: user_id, amount: amount.toFixed(2) },
+      }, { withdrawalId, userId: user_id });
+      return res.json({
+        success: true,
+        message: "Wallet deducted. Withdrawal is awaiting approval.",
+        withdrawalId,
+        payoutStatus: "pending_approval",
+        payout: null
+      });
+    }
+    // First delivery attempt inline; failures are retried by the payout worker
+    let delivery;
+    try {
+      delivery = await payouts.deliver(withdrawalId);
+    } catch (deliveryErr) {
+      delivery = { outcome: "retry_scheduled", error: deliveryErr.message };
+    }
+    return res.json({
+      success: true,
+      message: delivery.outcome === "delivered"
+        ? "Wallet deducted. MPESA payout initiated."
+        : "Wallet deducted. MPESA payout queued.",
+      withdrawalId,
+      payoutStatus: delivery.outcome,
+      payout: delivery.payout || null
+    });
+  } catch (err) {
+    if (err instanceof PolicyViolationError) return sendPolicyViolation(res, err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Payout worker: deliver due payout jobs, retrying with backoff and refunding past the deadline
+// (GET is for the scheduled cron, POST for manual runs)
+async function processPayoutsHandler(req, res) {
+  try {
+    const { limit = 50 } = { ...req.query, ...(req.body || {}) };
+    const capped = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+    const summary = await payouts.processDue(capped);
+    return res.json({ success: true, ...summary });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+app.get("/payouts/process", requireInternalOrAdmin, processPayoutsHandler);
+app.post("/payouts/process", requireInternalOrAdmin, processPayoutsHandler);
+
+// Stale withdrawal sweeper: query payout status for long-pending withdrawals, then settle or refund them
+async function sweepPayoutsHandler(req, res) {
+  try {
+    const { olderThanMinutes = PAYOUT_SWEEP_MINUTES, limit = 100 } = { ...req.query, ...(req.body || {}) };
+    const report = await payouts.sweepStale({
+      olderThanMinutes: Math.max(1, parseInt(olderThanMinutes, 10) || PAYOUT_SWEEP_MINUTES),
+      limit: Math.max(1, Math.min(parseInt(limit, 10) || 100, 500)),
+      triggeredBy: req.user && req.user.uid ? req.user.uid : "schedule",
+    });
+    console.log(`🧹 Payout sweep: ${report.checked} checked, ${report.resolved} resolved, ${report.refunded} refunded, ${report.unknown} unknown`);
+    return res.json({ success: true, report });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+app.get("/payouts/sweep", requireInternalOrAdmin, sweepPayoutsHandler);
+app.post("/payouts/sweep", requireInternalOrAdmin, sweepPayoutsHandler);
+
+// Admin approval queue: large withdrawals waiting for a decision
+app.get("/admin/withdrawals/approvals", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const { status = "pending_approval", limit = "100" } = req.query;
+    if (!["pending_approval", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({ error: "status must be pending_approval, approved or rejected" });
+    }
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit, 10) || 100, 500));
+    // Single-field queries only, to avoid composite indexes. The queue is small enough to sort here, oldest
+    // first; decided withdrawals are read newest decision first from the timestamp only they carry.
+    let items;
+    if (status === "pending_approval") {
+      const snap = await walletRef.where("status", "==", "pending_approval").get();
+      items = snap.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .filter((it) => it.type === "Withdraw")
+        .sort((a, b) => (a.timestamp ? a.timestamp.toMillis() : 0) - (b.timestamp ? b.timestamp.toMillis() : 0))
+        .slice(0, parsedLimit);
+    } else {
+      const snap = await walletRef.orderBy(status === "approved" ? "approvedAt" : "rejectedAt", "desc").limit(parsedLimit).get();
+      items = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((it) => it.type === "Withdraw");
+    }
+    return res.json({ items, count: items.length });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to list approvals", details: err.message });
+  }
+});
+
+// Approve a held withdrawal: queue its payout and notify the user
+app.post("/admin/withdrawals/:id/approve", requireAuth, assertAdmin, idempotent, async (req, res) => {
+  try {
+    const withdrawalRef = walletRef.doc(req.params.id);
+    const withdrawal = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(withdrawalRef);
+      if (!snap.exists || snap.data().type !== "Withdraw") throw new Error("Withdrawal not found");
+      const data = snap.data();
+      if (data.status !== "pending_approval") throw new Error("Withdrawal is not awaiting approval");
+      rollups.recordStatusChange(tx, data, "pending");
+      tx.update(withdrawalRef, {
+        status: "pending",
+        approvalDecision: "approved",
+        approvedBy: req.user.uid,
+        approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      payouts.enqueue(tx, { withdrawalId: withdrawalRef.id, userId: data.userId, phone: data.phone, amount: Math.abs(data.amount) });
+      return data;
+    });
+    let delivery;
+    try {
+      delivery = await payouts.deliver(withdrawalRef.id);
+    } catch (deliveryErr) {
+      delivery = { outcome: "retry_scheduled", error: deliveryErr.message };
+    }
+    await sendToUserToken(withdrawal.userId, {
+      template: "withdrawal_approved",
+      vars: { amount: Math.abs(withdrawal.amount).toFixed(2) },
+    }, { route: "/wallet", withdrawalId: withdrawalRef.id });
+    return res.json({ success: true, withdrawalId: withdrawalRef.id, payoutStatus: delivery.outcome });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : (/not awaiting/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Reject a held withdrawal: refund the wallet (and fee) and notify the user
+app.post("/admin/withdrawals/:id/reject", requireAuth, assertAdmin, idempotent, async (req, res) => {
+  try {
+    const schema = z.object({ reason: z.string().min(1).max(500) });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { reason } = parsed.data;
+    const withdrawalRef = walletRef.doc(req.params.id);
+    const withdrawal = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(withdrawalRef);
+      if (!snap.exists || snap.data().type !== "Withdraw") throw new Error("Withdrawal not found");
+      const data = snap.data();
+      if (data.status !== "pending_approval") throw new Error("Withdrawal is not awaiting approval");
+      payouts.refund(tx, withdrawalRef, data, `Withdrawal rejected: ${reason}`, {
+        status: "rejected",
+        approvalDecision: "rejected",
+        rejectedBy: req.user.uid,
+        rejectedAt: admin.firestore.FieldValue.serverTimestamp(),
+        rejectionReason: reason,
+      });
+      return data;
+    });
+    await sendToUserToken(withdrawal.userId, {
+      template: "withdrawal_rejected",
+      vars: { amount: Math.abs(withdrawal.amount).toFixed(2), reason },
+    }, { route: "/wallet", withdrawalId: withdrawalRef.id });
+    return res.json({ success: true, withdrawalId: withdrawalRef.id, status: "rejected" });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : (/not awaiting/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Park a callback we could not apply. Ones with no matching withdrawal yet are retried by the payout
+// worker and sweep (the result can beat the conversation IDs being stored); the rest wait for an admin.
+async function queueUnmatchedB2CCallback(result, reason, withdrawalId = null) {
+  const ref = unmatchedCallbacksRef.doc();
+  await ref.set({
+    reason,
+    withdrawalId,
+    ...extractConversationIds(result),
+    resultCode: result.ResultCode !== undefined ? Number(result.ResultCode) : null,
+    result,
+    status: "open",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.warn(`⚠️ Unmatched B2C callback queued (${reason}): ${ref.id}`);
+  return ref.id;
+}
+
+// B2C result callback
+app.post("/b2c/result", async (req, res) => {
+  try {
+    // Optional internal auth: shared secret header
+    if (INTERNAL_SHARED_SECRET) {
+      const headerSecret = req.headers["x-internal-secret"] || req.headers["x-internal-auth"];
+      if (!headerSecret || String(headerSecret) !== INTERNAL_SHARED_SECRET) {
+        return res.status(401).send("Unauthorized");
+      }
+    }
+    const result = req.body.Result;
+    const conversation = result ? extractConversationIds(result) : {};
+    if (!result || (!conversation.conversationId && !conversation.originatorConversationId)) {
+      return res.status(400).send("Missing result data");
+    }
+    const doc = await payouts.findWithdrawal(conversation);
+    if (!doc) {
+      await queueUnmatchedB2CCallback(result, "no_matching_withdrawal");
+      return res.status(200).send("No matching transaction found");
+    }
+    // Guard against a callback for a different amount than we debited
+    if (!payouts.amountMatches(doc.data(), result)) {
+      await queueUnmatchedB2CCallback(result, "amount_mismatch", doc.id);
+      return res.status(200).send("Amount mismatch; queued for review");
+    }
+    await payouts.applyResult(doc.ref, result);
+    return res.status(200).send("B2C result processed");
+  } catch (error) {
+    return res.status(500).send("Internal server error");
+  }
+});
+
+// Admin review queue for B2C callbacks that could not be matched
+app.get("/admin/b2c/unmatched", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const { status = "open", limit = "100" } = req.query;
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit, 10) || 100, 500));
+    // Filtering by status is sorted here, newest first, so the query needs no composite index
+    const snap = status === "any"
+      ? await unmatchedCallbacksRef.orderBy("createdAt", "desc").limit(parsedLimit).get()
+      : await unmatchedCallbacksRef.where("status", "==", status).get();
+    const millis = (it) => (it.createdAt && it.createdAt.toMillis ? it.createdAt.toMillis() : 0);
+    const items = snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => millis(b) - millis(a))
+      .slice(0, parsedLimit);
+    return res.json({ items, count: items.length });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to list unmatched callbacks", details: err.message });
+  }
+});
+
+// Resolve a queued callback: apply it to a withdrawal the admin identified, or dismiss it
+app.post("/admin/b2c/unmatched/:id/resolve", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      action: z.enum(["apply", "dismiss"]),
+      withdrawalId: z.string().min(1).optional(),
+      note: z.string().max(500).optional(),
+    });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { action, withdrawalId, note = "" } = parsed.data;
+    const queuedRef = unmatchedCallbacksRef.doc(req.params.id);
+    const queued = await queuedRef.get();
+    if (!queued.exists) return res.status(404).json({ error: "Callback not found" });
+    if (queued.data().status !== "open") return res.status(409).json({ error: "Callback already resolved" });
+
+    let applied = false;
+    if (action === "apply") {
+      const targetId = withdrawalId || queued.data().withdrawalId;
+      if (!targetId) return res.status(400).json({ error: "withdrawalId is required to apply a callback" });
+      const withdrawalRef = walletRef.doc(targetId);
+      const withdrawal = await withdrawalRef.get();
+      if (!withdrawal.exists || withdrawal.data().type !== "Withdraw") {
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      applied = await payouts.applyResult(withdrawalRef, queued.data().result);
+      if (!applied) return res.status(409).json({ error: "Withdrawal is no longer pending" });
+    }
+    await queuedRef.update({
+      status: action === "apply" ? "applied" : "dismissed",
+      resolvedBy: req.user.uid,
+      resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      appliedTo: applied ? (withdrawalId || queued.data().withdrawalId) : null,
+      note,
+    });
+    return res.json({ success: true, applied });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Public price list: the price per kg in force now for each active waste type
+app.get("/waste-prices", async (req, res) => {
+  try {
+    const items = await prices.list();
+    return res.json({ prices: items, timestamp: new Date().toISOString() });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin price list, including deactivated waste types
+app.get("/admin/waste-prices", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const items = await prices.list({ includeInactive: true });
+    return res.json({ prices: items });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Price history of one waste type, newest first
+app.get("/admin/waste-prices/:type/history", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const wasteType = normalizeWasteType(req.params.type);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    const history = await prices.history(wasteType);
+    return res.json({ wasteType, history });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+const wastePriceSchema = z.object({
+  pricePerKg: z.number().min(0),
+  // Defaults to now; a future date schedules the change, a past date backdates it
+  effectiveFrom: z.coerce.date().optional(),
+  description: z.string().max(200).optional(),
+}).strict();
+
+// Add a waste type with its first price
+app.post("/admin/waste-prices", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = wastePriceSchema.extend({ name: z.string().min(1).max(60) });
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const { name, ...change } = parsed.data;
+    const wasteType = normalizeWasteType(name);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    const existing = await prices.pricesRef.doc(wasteType).get();
+    if (existing.exists && existing.data().active !== false) {
+      return res.status(409).json({ error: `${wasteType} already exists` });
+    }
+    const price = await prices.setPrice(wasteType, { ...change, createdBy: req.user.uid });
+    return res.status(201).json({ success: true, price });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Change the price of a waste type; earlier completions keep the price that applied to them
+app.put("/admin/waste-prices/:type", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const parsed = wastePriceSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+    const wasteType = normalizeWasteType(req.params.type);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    const existing = await prices.pricesRef.doc(wasteType).get();
+    if (!existing.exists) return res.status(404).json({ error: "Waste type not found" });
+    const price = await prices.setPrice(wasteType, { ...parsed.data, createdBy: req.user.uid });
+    return res.json({ success: true, price });
   } catch (err) {
-    console.error("❌ Verify OTP Error:", err);
-    return res.status(500).json({ error: "Verification failed", details: err.message });
+    return res.status(500).json({ error: err.message });
   }
 });
 
-// Reserve (bind) a phone number to a user atomically and uniquely
-app.post("/reserve-phone", async (req, res) => {
+// Remove a waste type from the price list; its history stays for crediting past requests
+app.delete("/admin/waste-prices/:type", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const wasteType = normalizeWasteType(req.params.type);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    const existing = await prices.pricesRef.doc(wasteType).get();
+    if (!existing.exists) return res.status(404).json({ error: "Waste type not found" });
+    await prices.deactivate(wasteType, req.user.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Read the effective pricing rules (grades, volume tiers, zones, promotions)
+app.get("/admin/policies/pricing", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    return res.json(await pricing.load());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Update pricing rules; applies to requests credited after the change
+app.put("/admin/policies/pricing", requireAuth, assertAdmin, async (req, res) => {
   try {
+    const multiplier = z.number().min(0);
     const schema = z.object({
-      userId: z.string(),
-      phoneNumber: z.string().min(10),
-    });
+      minimumBillableKg: z.number().min(0).optional(),
+      defaultGrade: z.enum(GRADES).optional(),
+      gradeMultipliers: z.object({ clean: multiplier, mixed: multiplier, contaminated: multiplier }).optional(),
+      volumeTiers: z.array(z.object({ minKg: z.number().min(0), multiplier })).optional(),
+      zones: z.record(z.string(), z.object({
+        multiplier: multiplier.optional(),
+        pricePerKg: z.record(z.string(), z.number().min(0)).optional(),
+      })).optional(),
+      promotions: z.array(z.object({
+        id: z.string().min(1),
+        name: z.string().optional(),
+        multiplier,
+        startsAt: z.string().datetime(),
+        endsAt: z.string().datetime(),
+        wasteTypes: z.array(z.string()).optional(),
+        zones: z.array(z.string()).optional(),
+      })).optional(),
+    }).strict();
     const parsed = schema.safeParse(req.body);
     if (!parsed.success) {
-      return res.status(400).json({ error: parsed.error.errors[0].message });
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
-    const { userId, phoneNumber } = parsed.data;
-    const normalizedPhone = normalizeKenyanNumber(phoneNumber);
-
-    await db.runTransaction(async (tx) => {
-      const mapRef = phoneNumbersRef.doc(normalizedPhone);
-      const mapSnap = await tx.get(mapRef);
-      if (mapSnap.exists && mapSnap.data().ownerUid && mapSnap.data().ownerUid !== userId) {
-        throw new Error("Phone number already in use");
+    const changes = { ...parsed.data };
+    if (changes.zones) {
+      // Zone rates are keyed by waste type, so store them under the canonical name
+      for (const zone of Object.values(changes.zones)) {
+        if (!zone.pricePerKg) continue;
+        zone.pricePerKg = Object.fromEntries(
+          Object.entries(zone.pricePerKg).map(([type, price]) => [normalizeWasteType(type), price])
+        );
       }
-      tx.set(mapRef, {
-        ownerUid: userId,
-        reservedAt: admin.firestore.FieldValue.serverTimestamp(),
-      }, { merge: true });
-
-      const userRef = usersRef.doc(userId);
-      tx.set(userRef, {
-        phoneNumber: normalizedPhone,
-      }, { merge: true });
-    });
+    }
+    if (changes.promotions) {
+      if (changes.promotions.some((p) => new Date(p.endsAt) <= new Date(p.startsAt))) {
+        return res.status(400).json({ error: "Promotion endsAt must be after startsAt" });
+      }
+      changes.promotions = changes.promotions.map((p) => (
+        p.wasteTypes ? { ...p, wasteTypes: p.wasteTypes.map(normalizeWasteType) } : p
+      ));
+    }
+    const rules = await pricing.save(changes, req.user.uid);
+    return res.json({ success: true, rules });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    return res.json({ success: true, phoneNumber: normalizedPhone });
+// Impact factors per waste type (types without an entry use the defaults)
+app.get("/admin/impact-factors", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const factors = await impactFactors.loadAll();
+    return res.json({ factors, defaults: DEFAULT_IMPACT_FACTORS });
   } catch (err) {
-    const code = /already in use/i.test(err.message) ? 409 : 500;
-    return res.status(code).json({ error: err.message });
+    return res.status(500).json({ error: err.message });
   }
 });
 
-// Withdraw endpoint
-app.post("/withdraw", async (req, res) => {
+// Set the impact factors of a waste type; run the backfill afterwards to update users' totals
+app.put("/admin/impact-factors/:type", requireAuth, assertAdmin, async (req, res) => {
   try {
     const schema = z.object({
-      userId: z.string(),
-      amount: z.number().positive(),
-    });
+      co2PerKg: z.number().min(0).optional(),
+      waterLitresPerKg: z.number().min(0).optional(),
+      energyKwhPerKg: z.number().min(0).optional(),
+      pointsPerKg: z.number().min(0).optional(),
+    }).strict();
     const parsed = schema.safeParse(req.body);
     if (!parsed.success) {
-      return res.status(400).json({ error: parsed.error.errors[0].message });
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
-    const { userId, amount } = parsed.data;
-    const userRef = usersRef.doc(userId);
-    await db.runTransaction(async (tx) => {
-      const userDoc = await tx.get(userRef);
-      if (!userDoc.exists) throw new Error("User not found");
-      const balance = userDoc.data().walletBalance || 0;
-      if (amount > balance) throw new Error("Insufficient balance");
-      tx.update(userRef, { walletBalance: balance - amount });
-      tx.set(walletRef.doc(), {
-        userId,
-        type: "Withdraw",
-        amount: -amount,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        status: "completed",
-      });
-    });
+    const wasteType = normalizeWasteType(req.params.type);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    const factors = await impactFactors.save(wasteType, parsed.data, req.user.uid);
+    return res.json({ success: true, wasteType, factors });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop a waste type's factors so it uses the defaults again
+app.delete("/admin/impact-factors/:type", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const wasteType = normalizeWasteType(req.params.type);
+    if (!wasteType) return res.status(400).json({ error: "Invalid waste type" });
+    await impactFactors.remove(wasteType);
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
-// B2C endpoint: deduct wallet, log transaction, then call Python payout service
-app.post("/b2c", requireAuth, async (req, res) => {
+// Backfill: recompute users' co2Saved, waterSaved and energySaved from their recycling credits, using the
+// impact stored on each credit or, for older credits, the current factors. Points are not recomputed as they may already have been spent.
+// Resumable: pass the returned nextCursor as startAfter until it is null.
+app.post("/admin/impact/backfill", requireAuth, assertAdmin, async (req, res) => {
   try {
-    const schema = z.object({
-      user_id: z.string(),
-      phone: z.string().min(10),
-      amount: z.number().positive(),
+    const { limit = 100, startAfter = null, dryRun = false } = req.body || {};
+    const capped = Math.max(1, Math.min(parseInt(limit, 10) || 100, 300));
+    let query = usersRef.orderBy(admin.firestore.FieldPath.documentId()).limit(capped);
+    if (startAfter) query = query.startAfter(String(startAfter));
+    const snap = await query.get();
+    const factors = await impactFactors.loadAll();
+    const changes = [];
+    for (const doc of snap.docs) {
+      // Read and write in one transaction so a credit landing meanwhile is not overwritten
+      const change = await db.runTransaction(async (tx) => {
+        const userSnap = await tx.get(doc.ref);
+        if (!userSnap.exists) return null;
+        const credits = await tx.get(walletRef
+          .where("userId", "==", doc.id)
+          .where("type", "==", "Recycle Credit"));
+        const totals = { co2Saved: 0, waterSaved: 0, energySaved: 0 };
+        credits.forEach((c) => {
+          const { kg, wasteType } = parseRecycleCredit(c.data());
+          if (kg <= 0) return;
+          // Newer credits store the impact they were given; older ones are recomputed
+          const impact = c.data().impact || computeImpact(ImpactFactors.resolve(factors, normalizeWasteType(wasteType)), kg);
+          totals.co2Saved += impact.co2Saved || 0;
+          totals.waterSaved += impact.waterSaved || 0;
+          totals.energySaved += impact.energySaved || 0;
+        });
+        Object.keys(totals).forEach((k) => { totals[k] = Math.round(totals[k] * 1000) / 1000; });
+        const d = userSnap.data();
+        const changed = Object.keys(totals).some((k) => Math.abs((d[k] || 0) - totals[k]) > 0.0005);
+        if (!changed) return null;
+        if (!dryRun) tx.update(doc.ref, totals);
+        return { userId: doc.id, before: { co2Saved: d.co2Saved || 0, waterSaved: d.waterSaved || 0, energySaved: d.energySaved || 0 }, after: totals };
+      });
+      if (change) changes.push(change);
+    }
+    const nextCursor = snap.size === capped ? snap.docs[snap.docs.length - 1].id : null;
+    return res.json({ success: true, dryRun: !!dryRun, scanned: snap.size, updated: changes.length, changes, nextCursor });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Prices a completed request with the pricing rules and the price in force at completion.
+ * Unpriced types quote 0; the request is still credited so stats and the transaction are written.
+ * @param {Object} data - recycling_requests document data
+ * @returns {Promise<Object>} { wasteType, amount, pricePerKg, priceEffectiveFrom, breakdown }
+ */
+async function quoteCompletedRequest(data) {
+  const wasteType = normalizeWasteType(String(data.wasteType));
+  const completedAt = toDate(data.completedAt) || toDate(data.updatedAt) || new Date();
+  const { weight, grade } = measuredWeighIn(data);
+  const quote = await pricing.quote({
+    wasteType,
+    weight,
+    grade,
+    zone: data.zone || null,
+    at: completedAt,
+  });
+  return { wasteType, ...quote };
+}
+
+/**
+ * Credits the owner of a completed recycling request: prices it, posts the Recycle Credit,
+ * updates the user's impact totals and notifies the user and admins. Safe to call more than
+ * once per request; processed_requests/{requestId} is checked and written in the same transaction.
+ * @param {string} requestId - The recycling request
+ * @param {string} method - What triggered the credit (api, legacy, trigger, reconcile)
+ * @returns {Promise<Object>} { credited, reason?, userId, amount, weight, wasteType }
+ */
+async function creditCompletedRequest(requestId, method = "api") {
+  const requestSnap = await requestsRef.doc(requestId).get();
+  if (!requestSnap.exists) return { credited: false, reason: "request_not_found" };
+  const data = requestSnap.data() || {};
+  if (data.status !== "completed") return { credited: false, reason: "not_completed" };
+  const { userId } = data;
+  const { weight } = measuredWeighIn(data);
+  if (!userId || !weight || !data.wasteType) return { credited: false, reason: "incomplete" };
+  const { wasteType: normalized, amount, pricePerKg, priceEffectiveFrom, breakdown } = await quoteCompletedRequest(data);
+  const impact = await impactFactors.impactFor(normalized, weight);
+  const userRef = usersRef.doc(userId);
+  const processedRef = processedRequestsRef.doc(requestId);
+  let awarded = [];
+  let bonuses = [];
+  const outcome = await db.runTransaction(async (tx) => {
+    const [processedSnap, userSnap] = await Promise.all([tx.get(processedRef), tx.get(userRef)]);
+    if (processedSnap.exists) return "already_processed";
+    if (!userSnap.exists) return "user_not_found";
+    const bonus = await referrals.prepareBonus(tx, userId, userSnap.data());
+    const progress = await gamification.recordCredit(tx, userId, userSnap.data(), { weight, co2: impact.co2Saved });
+    awarded = progress.awarded;
+    tx.update(userRef, {
+      recycledWeight: admin.firestore.FieldValue.increment(weight),
+      pointsEarned: admin.firestore.FieldValue.increment(impact.points),
+      co2Saved: admin.firestore.FieldValue.increment(impact.co2Saved),
+      waterSaved: admin.firestore.FieldValue.increment(impact.waterSaved),
+      energySaved: admin.firestore.FieldValue.increment(impact.energySaved),
+      ...progress.fields,
     });
-    const parsed = schema.safeParse(req.body);
-    if (!parsed.success) {
-      return res.status(400).json({ error: parsed.error.errors[0].message });
+    ledger.creditRecycling(tx, {
+      userId,
+      amount,
+      wasteType: normalized,
+      weight,
+      requestId,
+      details: `Credited for recycling ${weight}kg of ${normalized}${method === "reconcile" ? " (reconcile)" : ""}`,
+      extra: {
+        pricePerKg,
+        priceEffectiveFrom,
+        pricing: breakdown,
+        impact: { co2Saved: impact.co2Saved, waterSaved: impact.waterSaved, energySaved: impact.energySaved, points: impact.points },
+      },
+    });
+    tx.set(processedRef, {
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      method,
+    });
+    bonuses = bonus ? referrals.applyBonus(tx, bonus, requestId) : [];
+    return "credited";
+  });
+  if (outcome !== "credited") return { credited: false, reason: outcome, userId };
+
+  // Notify user about credit and admins about completion
+  try {
+    await sendToUserToken(userId, {
+      template: "recycling_completed",
+      vars: { amount: amount.toFixed(2), weight, wasteType: normalized },
+    }, { route: "/wallet" });
+    await sendUserSms(userId, "recycling_completed", { amount: amount.toFixed(2), weight, wasteType: normalized }, "credit");
+    await sendToAdmins({
+      template: "request_completed_admin",
+      vars: { userId, amount: amount.toFixed(2), weight, wasteType: normalized },
+    }, { requestId });
+    for (const badge of awarded) {
+      await sendToUserToken(userId, { template: "badge_earned", vars: { badge: badge.name } }, { route: "/rewards", badge: badge.id });
     }
-    const { user_id, phone, amount } = parsed.data;
-    if (req.user.uid !== user_id) {
-      return res.status(403).json({ error: "Forbidden: user mismatch" });
+    for (const paid of bonuses) {
+      await sendToUserToken(paid.userId, { template: "referral_bonus", vars: { amount: paid.amount.toFixed(2) } }, { route: "/wallet" });
     }
-    const normalizedPhone = normalizeKenyanNumber(phone);
-    const userRef = usersRef.doc(user_id);
-    await db.runTransaction(async (tx) => {
-      const userSnap = await tx.get(userRef);
-      if (!userSnap.exists) throw new Error("User not found");
-      const balance = userSnap.data().walletBalance || 0;
-      if (amount > balance) throw new Error("Insufficient balance");
-      tx.update(userRef, { walletBalance: balance - amount });
-      tx.set(walletRef.doc(), {
-        userId: user_id,
-        type: "Withdraw",
-        amount: -amount,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        status: "pending",
-        method: "B2C",
-        phone: normalizedPhone,
-      });
+  } catch (_) {}
+
+  return {
+    credited: true,
+    userId,
+    amount,
+    weight,
+    wasteType: normalized,
+    badges: awarded.map((b) => b.id),
+    referralBonuses: bonuses,
+  };
+}
+
+// Request completed endpoint (legacy clients). The stored request is credited;
+// the before/after snapshots in the body are only used to skip no-op calls.
+app.post("/request-completed", async (req, res) => {
+  try {
+    const { before, after, requestId } = req.body || {};
+    if (!requestId) return res.status(400).json({ error: "Missing requestId" });
+    if (before && after && (before.status === "completed" || after.status !== "completed")) {
+      return res.status(200).json({ message: "No update needed" });
+    }
+    const result = await creditCompletedRequest(String(requestId), "legacy");
+    if (result.credited) return res.json({ success: true });
+    if (result.reason === "already_processed") return res.status(200).json({ message: "Already processed" });
+    if (result.reason === "user_not_found") return res.status(404).json({ error: "User not found" });
+    if (result.reason === "request_not_found") return res.status(404).json({ error: "Request not found" });
+    return res.status(200).json({ message: "No update needed" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Reconcile: walk every completed request and credit any that were missed (e.g. the trigger or
+// API call failed). Runs are resumable: pass the returned runId until status is "completed".
+app.post("/reconcile-completions", requireInternalOrAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      runId: z.string().min(1).optional(),
+      dryRun: z.boolean().optional(),
+      pageSize: z.number().int().min(1).max(200).optional(),
     });
-    // Call Python payout service after wallet deduction
-    let payoutResult = null;
-    try {
-      const payoutResponse = await fetch(`${PAYMENT_SERVICE_URL}/b2c`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          user_id,
-          phone: normalizedPhone,
-          amount
-        }),
-      });
-      payoutResult = await payoutResponse.json();
-    } catch (payoutErr) {
-      payoutResult = { success: false, error: payoutErr.message };
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
-    return res.json({
-      success: true,
-      message: "Wallet deducted. MPESA payout initiated.",
-      payout: payoutResult
+    const run = await reconciler.run({
+      ...parsed.data,
+      triggeredBy: req.user ? req.user.uid : (req.cron ? "schedule" : "internal"),
     });
+    return res.json({ success: true, run });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : (/in progress/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Vercel cron: continue the open reconciliation run or start a new one
+app.get("/reconcile-completions", requireInternalOrAdmin, async (req, res) => {
+  try {
+    const run = await reconciler.resumeOrStart({ triggeredBy: "schedule" });
+    return res.json({ success: true, run });
+  } catch (err) {
+    const code = /in progress/i.test(err.message) ? 409 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Reconciliation report: run counts plus the items worth a look (credited, skipped, zero-price, duplicates)
+app.get("/admin/reconciliation/runs/:id", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 200, 1000));
+    const report = await reconciler.getReport(req.params.id, { outcome: req.query.outcome || null, limit });
+    return res.json(report);
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Ledger audit: compare a user's stored balance with their postings
+app.get("/admin/ledger/users/:userId", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const result = await ledger.verifyUserBalance(req.params.userId);
+    return res.json(result);
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Ledger audit: system account balances (clearing, expense, settled, opening balances)
+app.get("/admin/ledger/accounts", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const accounts = await ledger.listSystemAccounts();
+    return res.json({ accounts, timestamp: new Date().toISOString() });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
-// B2C result callback
-app.post("/b2c/result", async (req, res) => {
+// Wallet audit: recompute one user's balance from their wallet transactions
+app.get("/admin/wallet-audit/users/:userId", requireAuth, assertAdmin, async (req, res) => {
   try {
-    // Optional internal auth: shared secret header
-    if (INTERNAL_SHARED_SECRET) {
-      const headerSecret = req.headers["x-internal-secret"] || req.headers["x-internal-auth"];
-      if (!headerSecret || String(headerSecret) !== INTERNAL_SHARED_SECRET) {
-        return res.status(401).send("Unauthorized");
-      }
+    return res.json(await walletAudit.checkUser(req.params.userId));
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Wallet audit: repair one user's drift through the ledger. correct says which side is wrong:
+// "history" records an Adjustment for money walletBalance already holds, "balance" moves walletBalance to the history total.
+app.post("/admin/wallet-audit/users/:userId/repair", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({ correct: z.enum(REPAIR_TARGETS), reason: z.string().min(3).max(300) });
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
-    const result = req.body.Result;
-    if (!result || !result.ResultParameters) {
-      return res.status(400).send("Missing result data");
+    const result = await walletAudit.repairUser(req.params.userId, {
+      correct: parsed.data.correct,
+      reason: parsed.data.reason,
+      adjustedBy: req.user.uid,
+    });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+// Wallet audit across all users. Resumable: pass the returned auditId until status is "completed".
+// With repair, every drifted user is repaired on the given side (correct) with the given reason.
+app.post("/admin/wallet-audit", requireAuth, assertAdmin, async (req, res) => {
+  try {
+    const schema = z.object({
+      auditId: z.string().min(1).optional(),
+      repair: z.boolean().optional(),
+      correct: z.enum(REPAIR_TARGETS).optional(),
+      reason: z.string().min(3).max(300).optional(),
+      pageSize: z.number().int().min(1).max(200).optional(),
+    });
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
     }
-    const params = result.ResultParameters.ResultParameter;
-    const phoneParam = params.find(p => p.Key === "ReceiverPartyPublicName");
-    const amountParam = params.find(p => p.Key === "TransactionAmount");
-    if (!phoneParam || !amountParam) {
-      return res.status(400).send("Missing necessary parameters");
-    }
-    const phoneNumber = phoneParam.Value.replace(/^tel:/, "");
-    const callbackAmount = parseFloat(amountParam.Value);
-    const resultCode = result.ResultCode;
-    const transactionsRef = db.collection("wallet_transactions");
-    const usersRef = db.collection("users");
-    const snapshot = await transactionsRef
-      .where("type", "==", "Withdraw")
-      .where("status", "==", "pending")
-      .where("phone", "==", phoneNumber)
-      .get();
-    if (snapshot.empty) {
-      return res.status(200).send("No matching transaction found");
+    if (parsed.data.repair && !parsed.data.auditId && !parsed.data.reason) {
+      return res.status(400).json({ error: "A reason is required to repair balances" });
     }
-    let processed = false;
-    for (const doc of snapshot.docs) {
-      const tx = doc.data();
-      const txAmount = Math.abs(tx.amount);
-      if (txAmount === callbackAmount) {
-        const isSuccess = resultCode === 0;
-        const userRef = usersRef.doc(tx.userId);
-        await db.runTransaction(async (t) => {
-          if (isSuccess) {
-            t.update(doc.ref, {
-              status: "completed",
-              mpesaMeta: result,
-            });
-          } else {
-            const userSnap = await t.get(userRef);
-            const currentBalance = userSnap.data().walletBalance || 0;
-            const refundAmount = Math.abs(tx.amount);
-            t.update(userRef, {
-              walletBalance: currentBalance + refundAmount,
-            });
-            t.update(doc.ref, {
-              status: "failed",
-              mpesaMeta: result,
-            });
-            const refundLogRef = db.collection("wallet_transactions").doc();
-            t.set(refundLogRef, {
-              userId: tx.userId,
-              type: "Refund",
-              amount: refundAmount,
-              relatedTo: doc.id,
-              phone: phoneNumber,
-              timestamp: admin.firestore.FieldValue.serverTimestamp(),
-              status: "completed",
-              reason: "M-Pesa B2C failed",
-            });
-          }
-        });
-        processed = true;
-        break;
-      }
+    if (parsed.data.repair && !parsed.data.auditId && !parsed.data.correct) {
+      return res.status(400).json({ error: `correct is required to repair balances (${REPAIR_TARGETS.join(" or ")})` });
     }
-    return res.status(200).send("B2C result processed");
-  } catch (error) {
-    return res.status(500).send("Internal server error");
+    const audit = await walletAudit.run({ ...parsed.data, triggeredBy: req.user.uid });
+    return res.json({ success: true, audit });
+  } catch (err) {
+    const code = /not found/i.test(err.message) ? 404 : (/in progress/i.test(err.message) ? 409 : 500);
+    return res.status(code).json({ error: err.message });
   }
 });
 
-// Request completed endpoint
-app.post("/request-completed", async (req, res) => {
+// Wallet audit report: drifted users, largest drift first
+app.get("/admin/wallet-audit/:id", requireAuth, assertAdmin, async (req, res) => {
   try {
-    const { before, after, requestId } = req.body;
-    if (
-      before.status !== "completed" &&
-      after.status === "completed" &&
-      after.weight &&
-      after.userId &&
-      after.wasteType
-    ) {
-      const userId = after.userId;
-      const weight = after.weight;
-      const normalized = normalizeWasteType(after.wasteType);
-      const processedDoc = await processedRequestsRef.doc(requestId).get();
-      if (processedDoc.exists) {
-        return res.status(200).json({ message: "Already processed" });
-      }
-      // Default to 0 if price not found; still update recycled stats and write tx
-      const priceSnap = await wastePricesRef.doc(normalized).get();
-      const pricePerKg = priceSnap.exists ? (priceSnap.data().pricePerKg || 0) : 0;
-      const amount = weight * pricePerKg;
-      const userRef = usersRef.doc(userId);
-      await db.runTransaction(async (tx) => {
-        const userSnap = await tx.get(userRef);
-        if (!userSnap.exists) throw new Error("User not found");
-        tx.update(userRef, {
-          walletBalance: admin.firestore.FieldValue.increment(amount),
-          recycledWeight: admin.firestore.FieldValue.increment(weight),
-          pointsEarned: admin.firestore.FieldValue.increment(weight / 50),
-          co2Saved: admin.firestore.FieldValue.increment(weight * 1.5),
-        });
-        tx.set(walletRef.doc(), {
-          userId,
-          type: "Recycle Credit",
-          amount,
-          wasteType: normalized,
-          weight: weight,
-          relatedRequest: requestId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          status: "completed",
-          details: `Credited for recycling ${weight}kg of ${normalized}`,
-        });
-        tx.set(processedRequestsRef.doc(requestId), {
-          processedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-      });
-      // Notify user about credit and admins about completion
-      try {
-        await sendToUserToken(userId, {
-          title: "Recycling Completed",
-          body: `Credited ${amount.toFixed(2)} for ${weight}kg of ${normalized}`,
-        }, { route: "/wallet" });
-        await sendToAdmins({
-          title: "Request Completed",
-          body: `User ${userId} credited ${amount.toFixed(2)} (${weight}kg ${normalized})`,
-        }, { requestId });
-      } catch (_) {}
-
-      return res.json({ success: true });
-    } else {
-      return res.status(200).json({ message: "No update needed" });
-    }
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 200, 1000));
+    return res.json(await walletAudit.getReport(req.params.id, limit));
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    const code = /not found/i.test(err.message) ? 404 : 500;
+    return res.status(code).json({ error: err.message });
   }
 });
 
-// Reconcile: scan recent completed requests and process any not yet credited
-app.post("/reconcile-completions", async (req, res) => {
+// One-off migration: post opening balances for wallets that predate the ledger.
+// Resumable: pass the returned nextCursor as startAfter until it is null.
+app.post("/admin/ledger/opening-balances", requireAuth, assertAdmin, async (req, res) => {
   try {
-    const { limit = 50 } = req.body || {};
-    const capped = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
-    // Fetch recently completed recycling_requests
-    // Avoid requiring a composite index: fetch recent completed without orderBy
-    const snap = await db
-      .collection("recycling_requests")
-      .where("status", "==", "completed")
-      .limit(capped)
-      .get();
-    let processedCount = 0;
+    const { limit = 200, startAfter = null } = req.body || {};
+    const capped = Math.max(1, Math.min(parseInt(limit, 10) || 200, 500));
+    let query = usersRef.orderBy(admin.firestore.FieldPath.documentId()).limit(capped);
+    if (startAfter) query = query.startAfter(String(startAfter));
+    const snap = await query.get();
+    let migrated = 0;
     for (const doc of snap.docs) {
-      const requestId = doc.id;
-      const data = doc.data() || {};
-      const already = await processedRequestsRef.doc(requestId).get();
-      if (already.exists) continue;
-      const userId = data.userId;
-      const weight = data.weight;
-      const wasteTypeRaw = data.wasteType || "";
-      if (!userId || !weight || !wasteTypeRaw) continue;
-      const normalized = normalizeWasteType(String(wasteTypeRaw));
-      // Price (fallback to 0 if not set)
-      const priceSnap = await wastePricesRef.doc(normalized).get();
-      const pricePerKg = priceSnap.exists ? (priceSnap.data().pricePerKg || 0) : 0;
-      const amount = weight * pricePerKg;
-      const userRef = usersRef.doc(userId);
-      await db.runTransaction(async (tx) => {
-        const userSnap = await tx.get(userRef);
-        if (!userSnap.exists) return; // skip if user missing
-        tx.update(userRef, {
-          walletBalance: admin.firestore.FieldValue.increment(amount),
-          recycledWeight: admin.firestore.FieldValue.increment(weight),
-          pointsEarned: admin.firestore.FieldValue.increment(weight / 50),
-          co2Saved: admin.firestore.FieldValue.increment(weight * 1.5),
-        });
-        tx.set(walletRef.doc(), {
-          userId,
-          type: "Recycle Credit",
-          amount,
-          wasteType: normalized,
-          weight,
-          relatedRequest: requestId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          status: "completed",
-          details: `Credited for recycling ${weight}kg of ${normalized} (reconcile)`,
-        });
-        tx.set(processedRequestsRef.doc(requestId), {
-          processedAt: admin.firestore.FieldValue.serverTimestamp(),
-          method: "reconcile",
-        });
+      const d = doc.data();
+      if (!d.walletBalance || d.ledgerMigrated === true) continue;
+      const posted = await db.runTransaction(async (tx) => {
+        const userSnap = await tx.get(doc.ref);
+        if (!userSnap.exists || userSnap.data().ledgerMigrated === true) return false;
+        // Only the part of the balance not already explained by postings is an opening balance
+        const { balance: posted } = await ledger.getUserLedgerBalance(doc.id, tx);
+        const opening = roundMoney((userSnap.data().walletBalance || 0) - posted);
+        if (opening !== 0) ledger.postOpeningBalance(tx, { userId: doc.id, amount: opening });
+        tx.update(doc.ref, { ledgerMigrated: true });
+        return true;
       });
-      processedCount++;
+      if (posted) migrated++;
     }
-    return res.json({ success: true, processed: processedCount });
+    const nextCursor = snap.size === capped ? snap.docs[snap.docs.length - 1].id : null;
+    return res.json({ success: true, scanned: snap.size, migrated, nextCursor });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
@@ -1093,27 +3118,85 @@ function normalizeWasteType(str) {
   return words.join(" ");
 }
 
-// Utility endpoint to clean up expired OTPs (optional - run periodically)
+/**
+ * Deletes expired OTP documents
+ * @returns {Promise<number>} How many were deleted
+ */
+async function cleanupExpiredOtps() {
+  const now = Date.now();
+  const expiredQuery = await otpRef.where("expiresAt", "<", now).limit(500).get();
+
+  const batch = db.batch();
+  expiredQuery.docs.forEach(doc => {
+    batch.delete(doc.ref);
+  });
+
+  await batch.commit();
+  console.log(`🧹 Cleaned up ${expiredQuery.size} expired OTPs`);
+  return expiredQuery.size;
+}
+
+// Utility endpoint to clean up expired OTPs (also runs on a schedule in Cloud Functions)
 app.post("/cleanup-expired-otps", async (req, res) => {
   try {
-    const now = Date.now();
-    const expiredQuery = await otpRef.where("expiresAt", "<", now).get();
-    
-    const batch = db.batch();
-    expiredQuery.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
-    console.log(`🧹 Cleaned up ${expiredQuery.size} expired OTPs`);
-    
-    return res.json({ success: true, cleaned: expiredQuery.size });
+    const cleaned = await cleanupExpiredOtps();
+    return res.json({ success: true, cleaned });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
-// Export for serverless (e.g., Vercel) or start server when run directly
+// Cloud Functions: credit a request whenever its status becomes completed, from any client or tool.
+// creditCompletedRequest is idempotent, so the API routes crediting the same request is harmless.
+const onRecyclingRequestUpdated = onDocumentUpdated("recycling_requests/{requestId}", async (event) => {
+  const before = event.data.before.data() || {};
+  const after = event.data.after.data() || {};
+  if (before.status === "completed" || after.status !== "completed") return;
+  const result = await creditCompletedRequest(event.params.requestId, "trigger");
+  if (!result.credited && result.reason !== "already_processed") {
+    console.warn(`Request ${event.params.requestId} not credited: ${result.reason}`);
+  }
+});
+
+// Cloud Functions: count new users however their document was created (app, admin tools, verify-otp)
+const onUserCreated = onDocumentCreated("users/{userId}", async (event) => {
+  const batch = db.batch();
+  rollups.recordUser(batch, { created: true });
+  await batch.commit();
+  await referrals.ensureCode(event.params.userId);
+});
+
+const scheduledOtpCleanup = onSchedule({ schedule: "every 60 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  await cleanupExpiredOtps();
+});
+
+const scheduledReconciliation = onSchedule({ schedule: "every 30 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  const run = await reconciler.resumeOrStart({ triggeredBy: "schedule" });
+  if (run.counts.credited > 0) console.log(`Reconciliation ${run.id} has credited ${run.counts.credited} request(s)`);
+});
+
+const scheduledRollupRebuild = onSchedule({ schedule: "every 10 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  const run = await rollups.resumePending({ factors: await impactFactors.loadAll(), triggeredBy: "schedule" });
+  if (run && run.status === "completed") console.log(`Rollup rebuild ${run.id} completed`);
+});
+
+// Same cadence as the Vercel crons for /payouts/process and /payouts/sweep
+const scheduledPayouts = onSchedule({ schedule: "every 5 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  const summary = await payouts.processDue();
+  if (summary.processed > 0) console.log(`💸 Payout worker processed ${summary.processed} job(s)`);
+});
+
+const scheduledPayoutSweep = onSchedule({ schedule: "every 30 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  const report = await payouts.sweepStale({ olderThanMinutes: PAYOUT_SWEEP_MINUTES, triggeredBy: "schedule" });
+  console.log(`🧹 Payout sweep: ${report.checked} checked, ${report.resolved} resolved, ${report.refunded} refunded, ${report.unknown} unknown`);
+});
+
+const scheduledBroadcasts = onSchedule({ schedule: "every 5 minutes", timeZone: "Africa/Nairobi" }, async () => {
+  await broadcasts.processDue();
+});
+
+// Export for serverless (e.g., Vercel) or start server when run directly.
+// The Express app stays the module export; Cloud Functions picks up the named functions attached to it.
 const PORT = process.env.PORT || 8080;
 if (require.main === module) {
   app.listen(PORT, () => {
@@ -1121,4 +3204,13 @@ if (require.main === module) {
   });
 } else {
   module.exports = app;
+  module.exports.api = onRequest(app);
+  module.exports.onRecyclingRequestUpdated = onRecyclingRequestUpdated;
+  module.exports.onUserCreated = onUserCreated;
+  module.exports.scheduledOtpCleanup = scheduledOtpCleanup;
+  module.exports.scheduledReconciliation = scheduledReconciliation;
+  module.exports.scheduledRollupRebuild = scheduledRollupRebuild;
+  module.exports.scheduledPayouts = scheduledPayouts;
+  module.exports.scheduledPayoutSweep = scheduledPayoutSweep;
+  module.exports.scheduledBroadcasts = scheduledBroadcasts;
 }
\ No newline at end of file
@@ -0,0 +1,445 @@
+const admin = require("firebase-admin");
+
+// System accounts. User wallets are `user_wallet:{uid}`.
+// Postings are signed and every entry sums to zero: wallets and clearing hold positive balances,
+// recycling_expense goes negative by what we have paid users, payouts_settled grows by what left via M-Pesa,
+// withdrawal_fees grows by the fees we charge, opening_balances offsets wallet balances that existed before the ledger,
+// points_redemptions goes negative by the wallet credit given for redeemed points, referral_bonuses
+// goes negative by the bonuses paid for referrals, and wallet_adjustments offsets corrections made by the wallet audit.
+const ACCOUNTS = {
+  RECYCLING_EXPENSE: "recycling_expense",
+  PAYOUT_CLEARING: "payout_clearing",
+  PAYOUTS_SETTLED: "payouts_settled",
+  OPENING_BALANCES: "opening_balances",
+  WITHDRAWAL_FEES: "withdrawal_fees",
+  POINTS_REDEMPTIONS: "points_redemptions",
+  REFERRAL_BONUSES: "referral_bonuses",
+  WALLET_ADJUSTMENTS: "wallet_adjustments",
+};
+
+const USER_WALLET_PREFIX = "user_wallet:";
+
+function userWalletAccount(userId) {
+  return `${USER_WALLET_PREFIX}${userId}`;
+}
+
+// Round half away from zero so a posting and its negation always round to the same magnitude
+function toCents(amount) {
+  const value = Number(amount);
+  return Math.sign(value) * Math.round(Math.abs(value) * 100);
+}
+
+function roundMoney(amount) {
+  return toCents(amount) / 100;
+}
+
+class Ledger {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} options
+   * @param {Rollups} options.rollups - Analytics rollups updated with every wallet transaction
+   */
+  constructor(db, { rollups = null } = {}) {
+    this.rollups = rollups;
+    this.entriesRef = db.collection("ledger_entries");
+    this.accountsRef = db.collection("ledger_accounts");
+    this.usersRef = db.collection("users");
+    this.walletRef = db.collection("wallet_transactions");
+  }
+
+  /**
+   * Writes a balanced journal entry inside a Firestore transaction. Only performs writes, so callers
+   * must do their reads (balance checks) first.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} entry - Entry details
+   * @param {string} entry.type - Entry type (recycle_credit, withdrawal, payout_settled, refund, fee, fee_refund, opening_balance, adjustment)
+   * @param {Array} entry.postings - Array of { account, amount } whose amounts sum to zero
+   * @param {string} entry.userId - The user the entry concerns
+   * @param {string} entry.memo - Human readable description
+   * @param {string} entry.relatedTransaction - wallet_transactions ID this entry settles, if any
+   * @param {string} entry.relatedRequest - recycling_requests ID, if any
+   * @param {Object} entry.walletTransaction - User-facing wallet_transactions record to create with the entry
+   * @param {boolean} entry.applyToUser - Mirror wallet postings onto users.walletBalance (default true)
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  post(tx, {
+    type,
+    postings,
+    userId = null,
+    memo = "",
+    relatedTransaction = null,
+    relatedRequest = null,
+    walletTransaction = null,
+    applyToUser = true,
+  }) {
+    const lines = (postings || []).map((p) => ({ account: p.account, amount: roundMoney(p.amount) }));
+    if (lines.length < 2) throw new Error("Ledger entry needs at least two postings");
+    if (lines.some((l) => !l.account || Number.isNaN(l.amount))) throw new Error("Invalid ledger posting");
+    const sumCents = lines.reduce((acc, l) => acc + toCents(l.amount), 0);
+    if (sumCents !== 0) throw new Error(`Unbalanced ledger entry (${type}): postings sum to ${sumCents / 100}`);
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const entryRef = this.entriesRef.doc();
+    const walletTxRef = walletTransaction ? this.walletRef.doc() : null;
+
+    tx.set(entryRef, {
+      type,
+      userId,
+      postings: lines,
+      accounts: [...new Set(lines.map((l) => l.account))],
+      amount: lines.reduce((acc, l) => acc + Math.max(0, toCents(l.amount)), 0) / 100,
+      memo,
+      relatedTransaction: relatedTransaction || (walletTxRef ? walletTxRef.id : null),
+      relatedRequest,
+      createdAt: now,
+    });
+
+    let walletDeltaCents = 0;
+    for (const line of lines) {
+      if (line.amount === 0) continue;
+      const isWallet = line.account.startsWith(USER_WALLET_PREFIX);
+      if (isWallet && applyToUser) walletDeltaCents += toCents(line.amount);
+      tx.set(this.accountsRef.doc(line.account), {
+        kind: isWallet ? "user_wallet" : "system",
+        balance: admin.firestore.FieldValue.increment(line.amount),
+        updatedAt: now,
+      }, { merge: true });
+      if (isWallet && applyToUser) {
+        tx.update(this.usersRef.doc(line.account.slice(USER_WALLET_PREFIX.length)), {
+          walletBalance: admin.firestore.FieldValue.increment(line.amount),
+        });
+      }
+    }
+
+    if (walletTxRef) {
+      tx.set(walletTxRef, {
+        ...walletTransaction,
+        userId,
+        ledgerEntryId: entryRef.id,
+        timestamp: now,
+      });
+    }
+
+    if (this.rollups && (walletTxRef || walletDeltaCents !== 0)) {
+      this.rollups.recordTransaction(tx, walletTransaction ? { ...walletTransaction, userId } : null, walletDeltaCents / 100);
+    }
+
+    return { entryId: entryRef.id, walletTransactionId: walletTxRef ? walletTxRef.id : null };
+  }
+
+  /**
+   * Credits a user's wallet for a completed recycling request
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} credit - { userId, amount, wasteType, weight, requestId, details, extra }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  creditRecycling(tx, { userId, amount, wasteType, weight, requestId, details, extra = {} }) {
+    return this.post(tx, {
+      type: "recycle_credit",
+      userId,
+      memo: details,
+      relatedRequest: requestId,
+      postings: [
+        { account: ACCOUNTS.RECYCLING_EXPENSE, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction: {
+        type: "Recycle Credit",
+        amount: roundMoney(amount),
+        wasteType,
+        weight,
+        relatedRequest: requestId,
+        status: "completed",
+        details,
+        ...extra,
+      },
+    });
+  }
+
+  /**
+   * Debits a user's wallet for a withdrawal. Pending payouts are held in payout clearing until the
+   * payout service confirms; immediate withdrawals go straight to settled.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} withdrawal - { userId, amount, pending, method, phone, extra }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  withdraw(tx, { userId, amount, pending = false, method = null, phone = null, extra = {} }) {
+    const walletTransaction = {
+      type: "Withdraw",
+      amount: -roundMoney(amount),
+      status: pending ? "pending" : "completed",
+      ...extra,
+    };
+    if (method) walletTransaction.method = method;
+    if (phone) walletTransaction.phone = phone;
+    return this.post(tx, {
+      type: "withdrawal",
+      userId,
+      memo: pending ? `Withdrawal of ${roundMoney(amount)} pending payout` : `Withdrawal of ${roundMoney(amount)}`,
+      postings: [
+        { account: userWalletAccount(userId), amount: -amount },
+        { account: pending ? ACCOUNTS.PAYOUT_CLEARING : ACCOUNTS.PAYOUTS_SETTLED, amount },
+      ],
+      walletTransaction,
+    });
+  }
+
+  /**
+   * Moves a confirmed payout out of clearing
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} settlement - { userId, amount, withdrawalId }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  settlePayout(tx, { userId, amount, withdrawalId }) {
+    return this.post(tx, {
+      type: "payout_settled",
+      userId,
+      memo: `Payout ${withdrawalId} settled`,
+      relatedTransaction: withdrawalId,
+      postings: [
+        { account: ACCOUNTS.PAYOUT_CLEARING, amount: -amount },
+        { account: ACCOUNTS.PAYOUTS_SETTLED, amount },
+      ],
+    });
+  }
+
+  /**
+   * Returns a failed payout from clearing to the user's wallet and records the Refund transaction
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} refund - { userId, amount, withdrawalId, phone, reason }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  refundPayout(tx, { userId, amount, withdrawalId, phone = null, reason }) {
+    const walletTransaction = {
+      type: "Refund",
+      amount: roundMoney(amount),
+      relatedTo: withdrawalId,
+      status: "completed",
+      reason,
+    };
+    if (phone) walletTransaction.phone = phone;
+    return this.post(tx, {
+      type: "refund",
+      userId,
+      memo: reason,
+      relatedTransaction: withdrawalId,
+      postings: [
+        { account: ACCOUNTS.PAYOUT_CLEARING, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction,
+    });
+  }
+
+  /**
+   * Charges a withdrawal fee as its own Fee transaction
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} fee - { userId, amount, withdrawalId }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  chargeFee(tx, { userId, amount, withdrawalId }) {
+    return this.post(tx, {
+      type: "fee",
+      userId,
+      memo: `Withdrawal fee for ${withdrawalId}`,
+      relatedTransaction: withdrawalId,
+      postings: [
+        { account: userWalletAccount(userId), amount: -amount },
+        { account: ACCOUNTS.WITHDRAWAL_FEES, amount },
+      ],
+      walletTransaction: {
+        type: "Fee",
+        amount: -roundMoney(amount),
+        relatedTo: withdrawalId,
+        status: "completed",
+        details: "Withdrawal fee",
+      },
+    });
+  }
+
+  /**
+   * Returns the fee of a withdrawal that was refunded
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} fee - { userId, amount, withdrawalId }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  refundFee(tx, { userId, amount, withdrawalId }) {
+    return this.post(tx, {
+      type: "fee_refund",
+      userId,
+      memo: `Fee refund for ${withdrawalId}`,
+      relatedTransaction: withdrawalId,
+      postings: [
+        { account: ACCOUNTS.WITHDRAWAL_FEES, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction: {
+        type: "Refund",
+        amount: roundMoney(amount),
+        relatedTo: withdrawalId,
+        status: "completed",
+        reason: "Withdrawal fee refunded",
+      },
+    });
+  }
+
+  /**
+   * Sums a user's wallet postings
+   * @param {string} userId - The user ID
+   * @param {FirebaseFirestore.Transaction} tx - Optional transaction to read within
+   * @returns {Promise<Object>} { balance, entries }
+   */
+  async getUserLedgerBalance(userId, tx = null) {
+    const account = userWalletAccount(userId);
+    const query = this.entriesRef.where("accounts", "array-contains", account);
+    const snap = tx ? await tx.get(query) : await query.get();
+    let cents = 0;
+    snap.forEach((doc) => {
+      for (const line of doc.data().postings || []) {
+        if (line.account === account) cents += toCents(line.amount);
+      }
+    });
+    return { balance: cents / 100, entries: snap.size };
+  }
+
+  /**
+   * Compares the stored wallet balance with the balance derived from postings
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} { userId, storedBalance, ledgerBalance, entries, drift, balanced }
+   */
+  async verifyUserBalance(userId) {
+    const [userSnap, ledgerResult] = await Promise.all([
+      this.usersRef.doc(userId).get(),
+      this.getUserLedgerBalance(userId),
+    ]);
+    if (!userSnap.exists) throw new Error("User not found");
+    const storedBalance = roundMoney(userSnap.data().walletBalance || 0);
+    const drift = roundMoney(storedBalance - ledgerResult.balance);
+    return {
+      userId,
+      storedBalance,
+      ledgerBalance: ledgerResult.balance,
+      entries: ledgerResult.entries,
+      drift,
+      balanced: drift === 0,
+    };
+  }
+
+  /**
+   * Lists system account balances; across all accounts the balances sum to zero
+   * @returns {Promise<Array>} Array of { account, balance }
+   */
+  async listSystemAccounts() {
+    const snap = await this.accountsRef.where("kind", "==", "system").get();
+    return snap.docs.map((d) => ({ account: d.id, balance: roundMoney(d.data().balance || 0) }));
+  }
+
+  /**
+   * Credits a user's wallet for redeemed points
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} redemption - { userId, points, amount, kesPerPoint }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  redeemPoints(tx, { userId, points, amount, kesPerPoint }) {
+    return this.post(tx, {
+      type: "points_redemption",
+      userId,
+      memo: `Redeemed ${points} points`,
+      postings: [
+        { account: ACCOUNTS.POINTS_REDEMPTIONS, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction: {
+        type: "Points Redemption",
+        amount: roundMoney(amount),
+        points,
+        kesPerPoint,
+        status: "completed",
+        details: `Redeemed ${points} points`,
+      },
+    });
+  }
+
+  /**
+   * Credits a referral bonus to the referrer or the referee
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} bonus - { userId, amount, role, otherUserId, requestId }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  creditReferralBonus(tx, { userId, amount, role, otherUserId, requestId }) {
+    const details = role === "referrer" ? "Referral bonus: a friend you referred recycled" : "Welcome bonus for joining with a referral";
+    return this.post(tx, {
+      type: "referral_bonus",
+      userId,
+      memo: details,
+      relatedRequest: requestId,
+      postings: [
+        { account: ACCOUNTS.REFERRAL_BONUSES, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction: {
+        type: "Referral Bonus",
+        amount: roundMoney(amount),
+        role,
+        referralUserId: otherUserId,
+        relatedRequest: requestId,
+        status: "completed",
+        details,
+      },
+    });
+  }
+
+  /**
+   * Brings a pre-ledger wallet balance onto the ledger without changing users.walletBalance
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} opening - { userId, amount }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  postOpeningBalance(tx, { userId, amount }) {
+    return this.post(tx, {
+      type: "opening_balance",
+      userId,
+      memo: "Opening balance migrated from walletBalance",
+      applyToUser: false,
+      postings: [
+        { account: ACCOUNTS.OPENING_BALANCES, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+    });
+  }
+
+  /**
+   * Corrects a user's wallet after an audit. `amount` is posted to the wallet against the adjustments account;
+   * users.walletBalance moves by `balanceDelta`, which only differs from amount when the two had drifted apart.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} adjustment - { userId, amount, balanceDelta, memo, walletTransaction }
+   * @returns {Object} { entryId, walletTransactionId }
+   */
+  adjustWallet(tx, { userId, amount, balanceDelta = 0, memo, walletTransaction = null }) {
+    const result = this.post(tx, {
+      type: "adjustment",
+      userId,
+      memo,
+      applyToUser: false,
+      postings: [
+        { account: ACCOUNTS.WALLET_ADJUSTMENTS, amount: -amount },
+        { account: userWalletAccount(userId), amount },
+      ],
+      walletTransaction,
+    });
+    const delta = roundMoney(balanceDelta);
+    if (delta !== 0) {
+      tx.update(this.usersRef.doc(userId), { walletBalance: admin.firestore.FieldValue.increment(delta) });
+      if (this.rollups) this.rollups.recordTransaction(tx, null, delta);
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  Ledger,
+  ACCOUNTS,
+  userWalletAccount,
+  toCents,
+  roundMoney,
+};
@@ -0,0 +1,544 @@
+const admin = require("firebase-admin");
+const fetch = require("node-fetch");
+const { roundMoney } = require("./ledger");
+
+const DEFAULT_DEADLINE_MS = (parseInt(process.env.PAYOUT_DEADLINE_MINUTES, 10) || 60) * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000; // first retry after 30 seconds
+const BACKOFF_MAX_MS = 30 * 60 * 1000; // never wait more than 30 minutes between attempts
+const LEASE_MS = 2 * 60 * 1000; // a claimed job is retried if the worker dies mid-delivery
+
+/**
+ * Pulls ConversationID/OriginatorConversationID from a payout service response or M-Pesa result
+ * @param {Object} payload - Response body or B2C Result object
+ * @returns {Object} { conversationId, originatorConversationId } (null when absent)
+ */
+function extractConversationIds(payload) {
+  const sources = [payload, payload && payload.data, payload && payload.response].filter((p) => p && typeof p === "object");
+  const pick = (...keys) => {
+    for (const src of sources) {
+      for (const key of keys) {
+        if (src[key]) return String(src[key]);
+      }
+    }
+    return null;
+  };
+  return {
+    conversationId: pick("ConversationID", "conversationId", "conversation_id"),
+    originatorConversationId: pick("OriginatorConversationID", "originatorConversationId", "originator_conversation_id"),
+  };
+}
+
+/**
+ * Reads a named value from a B2C ResultParameters list
+ * @param {Object} result - B2C Result object
+ * @param {string} key - Parameter key (e.g. "TransactionAmount")
+ * @returns {*} The parameter value or undefined
+ */
+function getResultParameter(result, key) {
+  const params = (result.ResultParameters && result.ResultParameters.ResultParameter) || [];
+  const list = Array.isArray(params) ? params : [params];
+  const param = list.find((p) => p && p.Key === key);
+  return param ? param.Value : undefined;
+}
+
+/**
+ * Exponential backoff delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+class PayoutService {
+  /**
+   * @param {Object} options
+   * @param {FirebaseFirestore.Firestore} options.db - Firestore instance
+   * @param {Ledger} options.ledger - Ledger used for settlements and refunds
+   * @param {Rollups} options.rollups - Analytics rollups, told about withdrawal status changes
+   * @param {string} options.paymentServiceUrl - Base URL of the payout service
+   * @param {number} options.deadlineMs - How long a job may keep retrying before it is refunded
+   * @param {Function} options.onOutcome - Optional async (withdrawalId, withdrawal, status) called once a withdrawal
+   *   is completed or failed, e.g. to text the user
+   */
+  constructor({ db, ledger, rollups = null, paymentServiceUrl, deadlineMs = DEFAULT_DEADLINE_MS, onOutcome = null }) {
+    this.db = db;
+    this.ledger = ledger;
+    this.rollups = rollups;
+    this.paymentServiceUrl = paymentServiceUrl;
+    this.deadlineMs = deadlineMs;
+    this.onOutcome = onOutcome;
+    this.walletRef = db.collection("wallet_transactions");
+    this.jobsRef = db.collection("payout_jobs");
+    this.sweepReportsRef = db.collection("payout_sweep_reports");
+    this.unmatchedRef = db.collection("unmatched_b2c_callbacks");
+  }
+
+  /**
+   * Writes a payout job in the same transaction that debited the wallet. The job shares the withdrawal's ID.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} job - { withdrawalId, userId, phone, amount }
+   */
+  enqueue(tx, { withdrawalId, userId, phone, amount }) {
+    const now = Date.now();
+    tx.set(this.jobsRef.doc(withdrawalId), {
+      withdrawalId,
+      userId,
+      phone,
+      amount,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: now,
+      deadlineAt: now + this.deadlineMs,
+      lastError: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  /**
+   * Marks a pending withdrawal completed and moves its money out of clearing
+   * @param {FirebaseFirestore.Transaction} t - The running transaction
+   * @param {FirebaseFirestore.DocumentReference} withdrawalRef - The Withdraw transaction
+   * @param {Object} withdrawal - The Withdraw transaction data
+   * @param {Object} extra - Extra fields to record on the withdrawal
+   */
+  settle(t, withdrawalRef, withdrawal, extra = {}) {
+    this.ledger.settlePayout(t, { userId: withdrawal.userId, amount: Math.abs(withdrawal.amount), withdrawalId: withdrawalRef.id });
+    const update = { status: "completed", ...extra };
+    if (this.rollups) this.rollups.recordStatusChange(t, withdrawal, update.status);
+    t.update(withdrawalRef, update);
+  }
+
+  /**
+   * Marks a pending withdrawal failed and refunds the wallet, including any fee. The single refund path for payouts.
+   * @param {FirebaseFirestore.Transaction} t - The running transaction
+   * @param {FirebaseFirestore.DocumentReference} withdrawalRef - The Withdraw transaction
+   * @param {Object} withdrawal - The Withdraw transaction data
+   * @param {string} reason - Reason recorded on the Refund transaction
+   * @param {Object} extra - Extra fields to record on the withdrawal
+   */
+  refund(t, withdrawalRef, withdrawal, reason, extra = {}) {
+    this.ledger.refundPayout(t, {
+      userId: withdrawal.userId,
+      amount: Math.abs(withdrawal.amount),
+      withdrawalId: withdrawalRef.id,
+      phone: withdrawal.phone || null,
+      reason,
+    });
+    if (withdrawal.fee > 0) {
+      this.ledger.refundFee(t, { userId: withdrawal.userId, amount: withdrawal.fee, withdrawalId: withdrawalRef.id });
+    }
+    const update = { status: "failed", ...extra };
+    if (this.rollups) this.rollups.recordStatusChange(t, withdrawal, update.status);
+    t.update(withdrawalRef, update);
+  }
+
+  /**
+   * Tells the onOutcome listener a withdrawal reached its final status; listener errors are only logged
+   * @param {string} withdrawalId - The Withdraw transaction ID
+   * @param {Object} withdrawal - The Withdraw transaction data
+   * @param {string} status - completed or failed
+   */
+  async notifyOutcome(withdrawalId, withdrawal, status) {
+    if (!this.onOutcome) return;
+    try {
+      await this.onOutcome(withdrawalId, withdrawal, status);
+    } catch (e) {
+      console.error(`❌ Payout outcome listener failed for ${withdrawalId}:`, e.message);
+    }
+  }
+
+  /**
+   * Settles or refunds a pending withdrawal from a B2C result; a no-op once it is no longer pending
+   * @param {FirebaseFirestore.DocumentReference} withdrawalRef - The Withdraw transaction
+   * @param {Object} result - B2C Result object
+   * @returns {Promise<boolean>} True when the result was applied
+   */
+  async applyResult(withdrawalRef, result) {
+    const isSuccess = Number(result.ResultCode) === 0;
+    const applied = await this.db.runTransaction(async (t) => {
+      // Re-read inside the transaction so a duplicate callback cannot settle twice
+      const fresh = await t.get(withdrawalRef);
+      if (!fresh.exists || fresh.data().status !== "pending") return null;
+      if (isSuccess) {
+        this.settle(t, withdrawalRef, fresh.data(), { mpesaMeta: result });
+      } else {
+        this.refund(t, withdrawalRef, fresh.data(), "M-Pesa B2C failed", { mpesaMeta: result });
+      }
+      return fresh.data();
+    });
+    if (applied) await this.notifyOutcome(withdrawalRef.id, applied, isSuccess ? "completed" : "failed");
+    return !!applied;
+  }
+
+  /**
+   * Finds the withdrawal a B2C result belongs to by its conversation IDs
+   * @param {Object} conversation - { conversationId, originatorConversationId }
+   * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>} The Withdraw transaction
+   */
+  async findWithdrawal({ conversationId, originatorConversationId }) {
+    if (conversationId) {
+      const snap = await this.walletRef.where("conversationId", "==", conversationId).limit(1).get();
+      if (!snap.empty) return snap.docs[0];
+    }
+    if (originatorConversationId) {
+      const snap = await this.walletRef.where("originatorConversationId", "==", originatorConversationId).limit(1).get();
+      if (!snap.empty) return snap.docs[0];
+    }
+    return null;
+  }
+
+  /**
+   * Whether a B2C result is for the amount we debited (results without an amount pass)
+   * @param {Object} withdrawal - The Withdraw transaction data
+   * @param {Object} result - B2C Result object
+   * @returns {boolean}
+   */
+  amountMatches(withdrawal, result) {
+    const callbackAmount = parseFloat(getResultParameter(result, "TransactionAmount"));
+    return isNaN(callbackAmount) || roundMoney(Math.abs(withdrawal.amount)) === roundMoney(callbackAmount);
+  }
+
+  /**
+   * Applies queued callbacks that arrived before their withdrawal's conversation IDs were stored.
+   * Callbacks that still match nothing stay open; amount mismatches are left for an admin.
+   * @param {Object} options
+   * @param {Object} options.conversation - Only look at callbacks for these conversation IDs
+   * @param {number} options.limit - Maximum callbacks to check
+   * @returns {Promise<Object>} { checked, applied, already_settled, amount_mismatch }
+   */
+  async rematchUnmatched({ conversation = null, limit = 50 } = {}) {
+    const open = this.unmatchedRef.where("status", "==", "open").where("reason", "==", "no_matching_withdrawal");
+    let docs;
+    if (conversation) {
+      const snaps = await Promise.all(["conversationId", "originatorConversationId"]
+        .filter((key) => conversation[key])
+        .map((key) => open.where(key, "==", conversation[key]).limit(limit).get()));
+      const byId = new Map(snaps.flatMap((snap) => snap.docs).map((d) => [d.id, d]));
+      docs = [...byId.values()];
+    } else {
+      docs = (await open.limit(limit).get()).docs;
+    }
+
+    const counts = { checked: 0, applied: 0, already_settled: 0, amount_mismatch: 0 };
+    for (const queued of docs) {
+      counts.checked++;
+      const { result } = queued.data();
+      const withdrawal = await this.findWithdrawal(extractConversationIds(result));
+      if (!withdrawal) continue;
+      if (!this.amountMatches(withdrawal.data(), result)) {
+        await queued.ref.update({ reason: "amount_mismatch", withdrawalId: withdrawal.id });
+        counts.amount_mismatch++;
+        continue;
+      }
+      const applied = await this.applyResult(withdrawal.ref, result);
+      if (applied) {
+        await queued.ref.update({
+          status: "applied",
+          withdrawalId: withdrawal.id,
+          appliedTo: withdrawal.id,
+          resolvedBy: "auto",
+          resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        counts.applied++;
+      } else {
+        // Settled some other way (e.g. the sweep); an admin can dismiss it
+        await queued.ref.update({ reason: "withdrawal_not_pending", withdrawalId: withdrawal.id });
+        counts.already_settled++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Claims a due job so concurrent workers do not deliver it twice
+   * @param {string} jobId - The job (withdrawal) ID
+   * @returns {Promise<Object|null>} The claimed job data, or null when it is not due
+   */
+  async claim(jobId) {
+    const jobRef = this.jobsRef.doc(jobId);
+    return this.db.runTransaction(async (t) => {
+      const snap = await t.get(jobRef);
+      if (!snap.exists) return null;
+      const job = snap.data();
+      const now = Date.now();
+      if (!["queued", "delivering"].includes(job.status) || job.nextAttemptAt > now) return null;
+      t.update(jobRef, { status: "delivering", nextAttemptAt: now + LEASE_MS });
+      return job;
+    });
+  }
+
+  /**
+   * Attempts to deliver one job to the payout service, rescheduling or refunding on failure.
+   * Only a definite rejection (4xx or success: false) may end in an automatic refund. After a timeout,
+   * network error or 5xx the payment may have gone out, so the job is marked uncertain and at its
+   * deadline the withdrawal is resolved from the payout status instead.
+   * @param {string} jobId - The job (withdrawal) ID
+   * @returns {Promise<Object>} { jobId, outcome, payout } where outcome is delivered, retry_scheduled,
+   *   refunded, settled, unresolved or skipped
+   */
+  async deliver(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) return { jobId, outcome: "skipped" };
+    const jobRef = this.jobsRef.doc(jobId);
+    const withdrawalRef = this.walletRef.doc(job.withdrawalId);
+
+    if (Date.now() >= job.deadlineAt) {
+      const outcome = await this.expire(jobRef, withdrawalRef, job.lastError, job.uncertain === true);
+      return { jobId, outcome };
+    }
+
+    let payout = null;
+    let error = null;
+    let uncertain = false;
+    try {
+      const response = await fetch(`${this.paymentServiceUrl}/b2c`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          // Lets the payout service drop a repeat of a request it already accepted
+          "Idempotency-Key": job.withdrawalId,
+        },
+        body: JSON.stringify({
+          user_id: job.userId,
+          phone: job.phone,
+          amount: job.amount,
+          reference: job.withdrawalId,
+        }),
+        timeout: 30000,
+      });
+      payout = await response.json().catch(() => null);
+      if (!response.ok || (payout && payout.success === false)) {
+        error = (payout && (payout.error || payout.message)) || `Payout service responded ${response.status}`;
+        uncertain = response.status >= 500;
+      }
+    } catch (e) {
+      // Timeouts and dropped connections: the service may have sent the payment
+      error = e.message;
+      uncertain = true;
+    }
+
+    const attempts = (job.attempts || 0) + 1;
+    if (!error) {
+      // Keep the M-Pesa conversation IDs so /b2c/result can find this withdrawal
+      const conversation = extractConversationIds(payout);
+      await withdrawalRef.update({ ...conversation, payoutRequestedAt: admin.firestore.FieldValue.serverTimestamp() });
+      await jobRef.update({ status: "delivered", attempts, nextAttemptAt: null, lastError: null, deliveredAt: Date.now() });
+      // M-Pesa may have answered before the IDs above were stored; pick up any callback it parked
+      if (conversation.conversationId || conversation.originatorConversationId) {
+        await this.rematchUnmatched({ conversation }).catch((e) => console.error(`❌ Callback re-match failed for ${jobId}:`, e.message));
+      }
+      return { jobId, outcome: "delivered", payout };
+    }
+
+    // Once any attempt was uncertain, a later rejection may only mean "already accepted"
+    const everUncertain = job.uncertain === true || uncertain;
+    const nextAttemptAt = Date.now() + backoffDelay(attempts);
+    if (nextAttemptAt >= job.deadlineAt) {
+      await jobRef.update({ attempts, lastError: String(error), uncertain: everUncertain });
+      const outcome = await this.expire(jobRef, withdrawalRef, error, everUncertain);
+      return { jobId, outcome, payout };
+    }
+    await jobRef.update({ status: "queued", attempts, nextAttemptAt, lastError: String(error), uncertain: everUncertain });
+    return { jobId, outcome: "retry_scheduled", payout, nextAttemptAt };
+  }
+
+  /**
+   * Settles or refunds a pending withdrawal from a payout status query; a no-op once it is no longer pending
+   * @param {FirebaseFirestore.DocumentReference} withdrawalRef - The Withdraw transaction
+   * @param {string} status - completed or failed, from queryStatus()
+   * @param {Object} extra - Extra fields to record on the withdrawal
+   * @returns {Promise<boolean>} True when the status was applied
+   */
+  async applyStatus(withdrawalRef, status, extra = {}) {
+    const applied = await this.db.runTransaction(async (t) => {
+      const fresh = await t.get(withdrawalRef);
+      if (!fresh.exists || fresh.data().status !== "pending") return null;
+      if (status === "completed") {
+        this.settle(t, withdrawalRef, fresh.data(), extra);
+      } else {
+        this.refund(t, withdrawalRef, fresh.data(), "M-Pesa B2C failed (status query)", extra);
+      }
+      return fresh.data();
+    });
+    if (applied) await this.notifyOutcome(withdrawalRef.id, applied, status);
+    return !!applied;
+  }
+
+  /**
+   * Gives up on a job past its deadline. A definitely rejected payout is refunded. An uncertain one is
+   * checked with the payout service first; if that cannot tell either, the withdrawal stays pending for the sweep.
+   * @param {FirebaseFirestore.DocumentReference} jobRef - The payout job
+   * @param {FirebaseFirestore.DocumentReference} withdrawalRef - The Withdraw transaction
+   * @param {string} lastError - The last delivery error, recorded on the withdrawal
+   * @param {boolean} uncertain - Whether any attempt may have reached M-Pesa
+   * @returns {Promise<string>} refunded, settled or unresolved
+   */
+  async expire(jobRef, withdrawalRef, lastError, uncertain = false) {
+    if (uncertain) {
+      const withdrawal = await withdrawalRef.get();
+      const { status, raw } = withdrawal.exists && withdrawal.data().status === "pending"
+        ? await this.queryStatus(withdrawalRef.id, withdrawal.data())
+        : { status: "unknown", raw: null };
+      if (status === "unknown") {
+        await jobRef.update({ status: "unresolved", nextAttemptAt: null, failedAt: Date.now() });
+        if (withdrawal.exists && withdrawal.data().status === "pending") {
+          await withdrawalRef.update({ payoutError: lastError || null });
+        }
+        return "unresolved";
+      }
+      await this.applyStatus(withdrawalRef, status, {
+        payoutError: lastError || null,
+        statusQuery: raw,
+        sweptAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await jobRef.update(status === "completed"
+        ? { status: "delivered", nextAttemptAt: null, deliveredAt: Date.now() }
+        : { status: "failed", nextAttemptAt: null, failedAt: Date.now() });
+      return status === "completed" ? "settled" : "refunded";
+    }
+
+    const refunded = await this.db.runTransaction(async (t) => {
+      const fresh = await t.get(withdrawalRef);
+      let data = null;
+      if (fresh.exists && fresh.data().status === "pending") {
+        this.refund(t, withdrawalRef, fresh.data(), "Payout could not be delivered", { payoutError: lastError || null });
+        data = fresh.data();
+      }
+      t.update(jobRef, { status: "failed", nextAttemptAt: null, failedAt: Date.now() });
+      return data;
+    });
+    if (refunded) await this.notifyOutcome(withdrawalRef.id, refunded, "failed");
+    return "refunded";
+  }
+
+  /**
+   * Delivers every job that is due, oldest first
+   * @param {number} limit - Maximum jobs to process in this run
+   * @returns {Promise<Object>} Counts per outcome and per-job results
+   */
+  async processDue(limit = 50) {
+    // A single-field query needs no composite index: finished jobs clear nextAttemptAt, so only
+    // queued and delivering jobs match; status is still checked here and again when the job is claimed
+    const snap = await this.jobsRef
+      .where("nextAttemptAt", "<=", Date.now())
+      .orderBy("nextAttemptAt", "asc")
+      .limit(limit)
+      .get();
+    const results = [];
+    for (const doc of snap.docs.filter((d) => ["queued", "delivering"].includes(d.data().status))) {
+      try {
+        results.push(await this.deliver(doc.id));
+      } catch (e) {
+        results.push({ jobId: doc.id, outcome: "error", error: e.message });
+      }
+    }
+    const counts = results.reduce((acc, r) => ({ ...acc, [r.outcome]: (acc[r.outcome] || 0) + 1 }), {});
+    return { processed: results.length, counts, results };
+  }
+
+  /**
+   * Asks the payout service for the M-Pesa status of a withdrawal
+   * @param {string} withdrawalId - The Withdraw transaction ID (sent as the payout reference)
+   * @param {Object} withdrawal - The Withdraw transaction data
+   * @returns {Promise<Object>} { status, raw } where status is completed, failed or unknown
+   */
+  async queryStatus(withdrawalId, withdrawal) {
+    try {
+      const response = await fetch(`${this.paymentServiceUrl}/b2c/status`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          reference: withdrawalId,
+          conversation_id: withdrawal.conversationId || null,
+          originator_conversation_id: withdrawal.originatorConversationId || null,
+          phone: withdrawal.phone || null,
+          amount: Math.abs(withdrawal.amount),
+        }),
+        timeout: 30000,
+      });
+      const raw = await response.json().catch(() => null);
+      if (!response.ok || !raw) return { status: "unknown", raw };
+      const result = raw.Result || raw.result || null;
+      const text = String(raw.status || raw.transaction_status || "").toLowerCase();
+      if (result && result.ResultCode !== undefined) {
+        return { status: Number(result.ResultCode) === 0 ? "completed" : "failed", raw };
+      }
+      if (/complet|success/.test(text)) return { status: "completed", raw };
+      if (/fail|revers|cancel|declin/.test(text)) return { status: "failed", raw };
+      return { status: "unknown", raw };
+    } catch (e) {
+      return { status: "unknown", raw: { error: e.message } };
+    }
+  }
+
+  /**
+   * Finds withdrawals still pending after a cut-off, asks the payout service what happened to each,
+   * then settles or refunds them. Withdrawals whose job is still in the outbox are left to the worker.
+   * Parked B2C callbacks that now match a withdrawal are applied first.
+   * @param {Object} options
+   * @param {number} options.olderThanMinutes - Only look at withdrawals pending for at least this long
+   * @param {number} options.limit - Maximum withdrawals to check in this run
+   * @param {string} options.triggeredBy - "schedule" or the admin uid, recorded on the report
+   * @returns {Promise<Object>} The persisted sweep report
+   */
+  async sweepStale({ olderThanMinutes = 30, limit = 100, triggeredBy = "schedule" } = {}) {
+    // Callbacks parked before their conversation IDs were stored settle these without a status query
+    const rematched = await this.rematchUnmatched();
+    const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+    // Pending transactions are few; type, age and order are handled in memory to avoid a composite index
+    const pending = await this.walletRef.where("status", "==", "pending").get();
+    const stale = pending.docs
+      .filter((d) => {
+        const { type, timestamp } = d.data();
+        return type === "Withdraw" && timestamp && timestamp.toMillis && timestamp.toMillis() <= cutoff.getTime();
+      })
+      .sort((a, b) => a.data().timestamp.toMillis() - b.data().timestamp.toMillis())
+      .slice(0, limit);
+
+    const counts = { checked: 0, resolved: 0, refunded: 0, unknown: 0, in_outbox: 0 };
+    const items = [];
+    for (const doc of stale) {
+      const withdrawal = doc.data();
+      counts.checked++;
+      const job = await this.jobsRef.doc(doc.id).get();
+      if (job.exists && ["queued", "delivering"].includes(job.data().status)) {
+        counts.in_outbox++;
+        items.push({ withdrawalId: doc.id, outcome: "in_outbox" });
+        continue;
+      }
+
+      const { status, raw } = await this.queryStatus(doc.id, withdrawal);
+      let outcome = "unknown";
+      if (status !== "unknown") {
+        const sweep = { sweptAt: admin.firestore.FieldValue.serverTimestamp(), statusQuery: raw };
+        const applied = await this.applyStatus(doc.ref, status, sweep);
+        outcome = !applied ? "already_settled" : (status === "completed" ? "resolved" : "refunded");
+      } else {
+        await doc.ref.update({ lastSweepAt: admin.firestore.FieldValue.serverTimestamp(), lastSweepOutcome: "unknown" });
+      }
+      if (counts[outcome] !== undefined) counts[outcome]++;
+      items.push({ withdrawalId: doc.id, userId: withdrawal.userId, amount: Math.abs(withdrawal.amount), outcome });
+    }
+
+    const report = {
+      olderThanMinutes,
+      cutoff: cutoff.toISOString(),
+      triggeredBy,
+      ...counts,
+      rematched,
+      items,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const reportRef = this.sweepReportsRef.doc();
+    await reportRef.set(report);
+    return { id: reportRef.id, ...report, createdAt: new Date().toISOString() };
+  }
+}
+
+module.exports = {
+  PayoutService,
+  extractConversationIds,
+  getResultParameter,
+  backoffDelay,
+};
@@ -0,0 +1,69 @@
+// Minimal PDF writer for plain-text documents (statements, reports). Uses the built-in Courier
+// font, so no font files or PDF libraries are needed and columns line up.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+const MAX_COLUMNS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6)); // Courier glyphs are 0.6em wide
+
+// Escapes a line for a PDF string literal; characters outside Latin-1 become "?"
+function pdfString(text) {
+  const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+  return `(${latin1.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)")})`;
+}
+
+/**
+ * Renders lines of text into a PDF, starting a new page as each one fills up
+ * @param {Array<string>} lines - Text lines; longer lines are cut at the page width
+ * @param {Object} options - { title }
+ * @returns {Buffer} The PDF file
+ */
+function textPdf(lines, { title = "" } = {}) {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = `<< /Title ${pdfString(title)} >>`;
+  pages.forEach((pageLines, i) => {
+    const pageId = pageIds[i];
+    const body = [
+      "BT",
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LINE_HEIGHT} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map((line) => `${pdfString(line.slice(0, MAX_COLUMNS))} '`),
+      "ET",
+    ].join("\n");
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(body, "latin1")} >>\nstream\n${body}\nendstream`;
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(out, "latin1");
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+module.exports = {
+  textPdf,
+};
@@ -0,0 +1,183 @@
+const admin = require("firebase-admin");
+
+const CACHE_TTL_MS = 60 * 1000; // policies are re-read at most once a minute
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000; // day and month caps roll over at midnight EAT (UTC+3, no DST)
+
+// Used until finance saves policies/withdrawals in Firestore. Phone verification and approvals are
+// opt-in so that deploying the policy does not change who can withdraw.
+const DEFAULT_WITHDRAWAL_POLICY = {
+  minAmount: 10,
+  maxAmount: 150000,
+  dailyLimit: 150000,
+  monthlyLimit: 1000000,
+  requirePhoneVerified: false,
+  phoneChangeCoolingOffHours: 24,
+  // B2C withdrawals above this amount wait for admin approval (null disables approvals)
+  approvalThreshold: null,
+  // Fee bands: the first band whose upTo is >= amount applies; fee is flat, percent is of the amount
+  fees: [],
+};
+
+/**
+ * Raised when a withdrawal breaks one or more policy rules
+ */
+class PolicyViolationError extends Error {
+  /**
+   * @param {Array} reasons - Array of { code, message }
+   */
+  constructor(reasons) {
+    super(reasons.map((r) => r.message).join("; "));
+    this.name = "PolicyViolationError";
+    this.reasons = reasons;
+    this.code = reasons[0] ? reasons[0].code : "POLICY_VIOLATION";
+  }
+}
+
+/**
+ * Start of the current day and month in Nairobi time, as UTC Dates
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object} { dayStart, monthStart }
+ */
+function periodStarts(now = Date.now()) {
+  const local = new Date(now + NAIROBI_OFFSET_MS);
+  const dayStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - NAIROBI_OFFSET_MS;
+  const monthStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - NAIROBI_OFFSET_MS;
+  return { dayStart: new Date(dayStart), monthStart: new Date(monthStart) };
+}
+
+/**
+ * Computes the fee for an amount from a fee schedule
+ * @param {Array} fees - Fee bands of { upTo, fee, percent }; a band without upTo matches everything
+ * @param {number} amount - Withdrawal amount
+ * @returns {number} The fee, rounded to cents
+ */
+function computeFee(fees, amount) {
+  const bands = [...(fees || [])].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  const band = bands.find((b) => b.upTo === undefined || b.upTo === null || amount <= b.upTo);
+  if (!band) return 0;
+  const fee = (band.fee || 0) + (band.percent ? amount * band.percent / 100 : 0);
+  return Math.round(fee * 100) / 100;
+}
+
+class WithdrawalPolicy {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.policyRef = db.collection("policies").doc("withdrawals");
+    this.walletRef = db.collection("wallet_transactions");
+    this.cached = null;
+  }
+
+  /**
+   * Loads the current policy, merged over the defaults
+   * @returns {Promise<Object>} The effective policy
+   */
+  async load() {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.value;
+    const snap = await this.policyRef.get();
+    const value = { ...DEFAULT_WITHDRAWAL_POLICY, ...(snap.exists ? snap.data() : {}) };
+    this.cached = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  /**
+   * Saves policy changes and refreshes the cache
+   * @param {Object} changes - Policy fields to update
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<Object>} The effective policy after the change
+   */
+  async save(changes, updatedBy) {
+    await this.policyRef.set({
+      ...changes,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cached = null;
+    return this.load();
+  }
+
+  /**
+   * Checks a withdrawal against the policy. Pass the running transaction so the
+   * daily and monthly totals are read consistently with the debit.
+   * @param {Object} params
+   * @param {string} params.userId - The user withdrawing
+   * @param {Object} params.user - The user's document data
+   * @param {number} params.amount - Requested amount (before fees)
+   * @param {FirebaseFirestore.Transaction} params.tx - Optional transaction to read within
+   * @returns {Promise<Object>} { allowed, reasons, fee, totalDebit, policy }
+   */
+  async evaluate({ userId, user, amount, tx = null }) {
+    const policy = await this.load();
+    const reasons = [];
+    const fee = computeFee(policy.fees, amount);
+    const totalDebit = Math.round((amount + fee) * 100) / 100;
+
+    if (amount < policy.minAmount) {
+      reasons.push({ code: "AMOUNT_BELOW_MINIMUM", message: `Minimum withdrawal is ${policy.minAmount}` });
+    }
+    if (amount > policy.maxAmount) {
+      reasons.push({ code: "AMOUNT_ABOVE_MAXIMUM", message: `Maximum withdrawal is ${policy.maxAmount}` });
+    }
+    if (policy.requirePhoneVerified && user.phoneVerified !== true) {
+      reasons.push({ code: "PHONE_NOT_VERIFIED", message: "Verify your phone number before withdrawing" });
+    }
+    const changedAt = user.phoneChangedAt && user.phoneChangedAt.toDate ? user.phoneChangedAt.toDate() : null;
+    const coolingOffMs = (policy.phoneChangeCoolingOffHours || 0) * 60 * 60 * 1000;
+    if (changedAt && coolingOffMs > 0 && Date.now() - changedAt.getTime() < coolingOffMs) {
+      reasons.push({
+        code: "PHONE_CHANGE_COOLING_OFF",
+        message: `Withdrawals are paused for ${policy.phoneChangeCoolingOffHours} hours after a phone number change`,
+        retryAfter: new Date(changedAt.getTime() + coolingOffMs).toISOString(),
+      });
+    }
+    if (totalDebit > (user.walletBalance || 0)) {
+      reasons.push({ code: "INSUFFICIENT_BALANCE", message: "Insufficient balance" });
+    }
+
+    const { dayStart, monthStart } = periodStarts();
+    // Type and month are filtered in memory to avoid a composite index
+    const query = this.walletRef.where("userId", "==", userId);
+    const snap = tx ? await tx.get(query) : await query.get();
+    let dayTotal = 0;
+    let monthTotal = 0;
+    snap.forEach((doc) => {
+      const d = doc.data();
+      if (d.type !== "Withdraw") return;
+      // Failed and rejected payouts were refunded and do not count towards the caps
+      if (d.status === "failed" || d.status === "rejected") return;
+      const ts = d.timestamp && d.timestamp.toDate ? d.timestamp.toDate() : null;
+      if (!ts || ts < monthStart) return;
+      // Caps count what left the wallet, fees included, like the balance check
+      const value = Math.abs(d.amount || 0) + (d.fee || 0);
+      monthTotal += value;
+      if (ts >= dayStart) dayTotal += value;
+    });
+    if (dayTotal + totalDebit > policy.dailyLimit) {
+      reasons.push({ code: "DAILY_LIMIT_EXCEEDED", message: `Daily withdrawal limit is ${policy.dailyLimit}`, remaining: Math.max(0, policy.dailyLimit - dayTotal) });
+    }
+    if (monthTotal + totalDebit > policy.monthlyLimit) {
+      reasons.push({ code: "MONTHLY_LIMIT_EXCEEDED", message: `Monthly withdrawal limit is ${policy.monthlyLimit}`, remaining: Math.max(0, policy.monthlyLimit - monthTotal) });
+    }
+
+    return { allowed: reasons.length === 0, reasons, fee, totalDebit, policy };
+  }
+
+  /**
+   * Like evaluate(), but throws PolicyViolationError when the withdrawal is not allowed
+   * @param {Object} params - As for evaluate()
+   * @returns {Promise<Object>} { fee, totalDebit, policy }
+   */
+  async enforce(params) {
+    const result = await this.evaluate(params);
+    if (!result.allowed) throw new PolicyViolationError(result.reasons);
+    return { fee: result.fee, totalDebit: result.totalDebit, policy: result.policy };
+  }
+}
+
+module.exports = {
+  WithdrawalPolicy,
+  PolicyViolationError,
+  DEFAULT_WITHDRAWAL_POLICY,
+  computeFee,
+};
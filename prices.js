@@ -0,0 +1,155 @@
+const admin = require("firebase-admin");
+
+const LEGACY_EFFECTIVE_FROM = new Date(0); // prices set before history existed apply from the beginning
+
+/**
+ * Converts a Firestore Timestamp (live or JSON-serialized), Date, ISO string or epoch millis into a Date
+ * @param {*} value - The value to convert
+ * @returns {Date|null} The date, or null when the value is missing or invalid
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const seconds = value._seconds ?? value.seconds;
+  if (typeof seconds === "number") return new Date(seconds * 1000);
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+class PriceService {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.pricesRef = db.collection("waste_prices");
+  }
+
+  historyRef(wasteType) {
+    return this.pricesRef.doc(wasteType).collection("history");
+  }
+
+  /**
+   * Looks up the price per kg that applied to a waste type at a point in time
+   * @param {string} wasteType - Normalized waste type
+   * @param {Date} at - When the request was completed (defaults to now)
+   * @returns {Promise<Object>} { pricePerKg, effectiveFrom, source } where source is history, current or missing
+   */
+  async getPriceAt(wasteType, at = new Date()) {
+    const snap = await this.historyRef(wasteType)
+      .where("effectiveFrom", "<=", admin.firestore.Timestamp.fromDate(at))
+      .orderBy("effectiveFrom", "desc")
+      .limit(1)
+      .get();
+    if (!snap.empty) {
+      const d = snap.docs[0].data();
+      return { pricePerKg: d.pricePerKg || 0, effectiveFrom: d.effectiveFrom.toDate().toISOString(), source: "history" };
+    }
+    // Types priced before history was recorded still carry pricePerKg on the document
+    const current = await this.pricesRef.doc(wasteType).get();
+    if (current.exists && typeof current.data().pricePerKg === "number") {
+      return { pricePerKg: current.data().pricePerKg, effectiveFrom: null, source: "current" };
+    }
+    return { pricePerKg: 0, effectiveFrom: null, source: "missing" };
+  }
+
+  /**
+   * Records a price change. Prices effective now or earlier also update the document's pricePerKg.
+   * @param {string} wasteType - Normalized waste type
+   * @param {Object} change - { pricePerKg, effectiveFrom, description, createdBy }
+   * @returns {Promise<Object>} The history entry written
+   */
+  async setPrice(wasteType, { pricePerKg, effectiveFrom = new Date(), description, createdBy }) {
+    const docRef = this.pricesRef.doc(wasteType);
+    const snap = await docRef.get();
+    const history = await this.historyRef(wasteType).limit(1).get();
+    const batch = docRef.firestore.batch();
+
+    // Keep the pre-history price so completions before this change are still credited at it
+    if (history.empty && snap.exists && typeof snap.data().pricePerKg === "number") {
+      batch.set(this.historyRef(wasteType).doc(), {
+        pricePerKg: snap.data().pricePerKg,
+        effectiveFrom: admin.firestore.Timestamp.fromDate(LEGACY_EFFECTIVE_FROM),
+        createdBy: "legacy",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    const entry = {
+      pricePerKg,
+      effectiveFrom: admin.firestore.Timestamp.fromDate(effectiveFrom),
+      createdBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    batch.set(this.historyRef(wasteType).doc(), entry);
+
+    const docUpdate = {
+      name: wasteType,
+      active: true,
+      updatedBy: createdBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (description !== undefined) docUpdate.description = description;
+    if (effectiveFrom <= new Date()) docUpdate.pricePerKg = pricePerKg;
+    else if (!snap.exists) docUpdate.pricePerKg = 0;
+    batch.set(docRef, docUpdate, { merge: true });
+
+    await batch.commit();
+    return { wasteType, pricePerKg, effectiveFrom: effectiveFrom.toISOString() };
+  }
+
+  /**
+   * Lists waste types with the price in effect now
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Array of { wasteType, pricePerKg, effectiveFrom, description, active }
+   */
+  async list({ includeInactive = false } = {}) {
+    const snap = await this.pricesRef.get();
+    const docs = snap.docs.filter((d) => includeInactive || d.data().active !== false);
+    const now = new Date();
+    const items = await Promise.all(docs.map(async (doc) => {
+      const { pricePerKg, effectiveFrom } = await this.getPriceAt(doc.id, now);
+      return {
+        wasteType: doc.id,
+        pricePerKg,
+        effectiveFrom,
+        description: doc.data().description || null,
+        active: doc.data().active !== false,
+      };
+    }));
+    return items.sort((a, b) => a.wasteType.localeCompare(b.wasteType));
+  }
+
+  /**
+   * Returns the full price history of a waste type, newest first
+   * @param {string} wasteType - Normalized waste type
+   * @returns {Promise<Array>} Array of history entries
+   */
+  async history(wasteType) {
+    const snap = await this.historyRef(wasteType).orderBy("effectiveFrom", "desc").get();
+    return snap.docs.map((d) => ({
+      id: d.id,
+      pricePerKg: d.data().pricePerKg,
+      effectiveFrom: d.data().effectiveFrom.toDate().toISOString(),
+      createdBy: d.data().createdBy || null,
+    }));
+  }
+
+  /**
+   * Hides a waste type from the public list; its history is kept for crediting past requests
+   * @param {string} wasteType - Normalized waste type
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async deactivate(wasteType, updatedBy) {
+    await this.pricesRef.doc(wasteType).set({
+      active: false,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+}
+
+module.exports = {
+  PriceService,
+  toDate,
+};
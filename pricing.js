@@ -0,0 +1,146 @@
+const admin = require("firebase-admin");
+const { roundMoney } = require("./ledger");
+
+const CACHE_TTL_MS = 60 * 1000; // rules are re-read at most once a minute
+const GRADES = ["clean", "mixed", "contaminated"];
+
+// Used until operations saves policies/pricing in Firestore; the defaults reproduce weight * pricePerKg
+const DEFAULT_PRICING_RULES = {
+  // Weights below this earn nothing (stats are still recorded)
+  minimumBillableKg: 0,
+  // Requests without a grade are priced as this grade
+  defaultGrade: "clean",
+  gradeMultipliers: { clean: 1, mixed: 0.8, contaminated: 0.5 },
+  // Volume tiers: the tier with the highest minKg <= weight applies
+  volumeTiers: [],
+  // Per-zone rates: { [zone]: { multiplier, pricePerKg: { [wasteType]: number } } }
+  zones: {},
+  // Time-limited promotions: { id, name, multiplier, startsAt, endsAt, wasteTypes, zones }.
+  // Promotions do not stack; the best one in force applies.
+  promotions: [],
+};
+
+/**
+ * Finds the volume tier for a weight
+ * @param {Array} tiers - Tiers of { minKg, multiplier }
+ * @param {number} weight - Weight in kg
+ * @returns {Object|null} The matching tier
+ */
+function findVolumeTier(tiers, weight) {
+  return [...(tiers || [])]
+    .sort((a, b) => b.minKg - a.minKg)
+    .find((t) => weight >= t.minKg) || null;
+}
+
+/**
+ * Finds the best promotion in force for a request
+ * @param {Array} promotions - Configured promotions
+ * @param {Object} request - { wasteType, zone, at }
+ * @returns {Object|null} The promotion with the highest multiplier
+ */
+function findPromotion(promotions, { wasteType, zone, at }) {
+  const active = (promotions || []).filter((p) => {
+    if (p.startsAt && new Date(p.startsAt) > at) return false;
+    if (p.endsAt && new Date(p.endsAt) <= at) return false;
+    if (p.wasteTypes && p.wasteTypes.length && !p.wasteTypes.includes(wasteType)) return false;
+    if (p.zones && p.zones.length && !p.zones.includes(zone)) return false;
+    return true;
+  });
+  return active.sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+}
+
+class PricingRules {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {PriceService} prices - Base prices per waste type
+   */
+  constructor(db, prices) {
+    this.rulesRef = db.collection("policies").doc("pricing");
+    this.prices = prices;
+    this.cached = null;
+  }
+
+  /**
+   * Loads the current rules, merged over the defaults
+   * @returns {Promise<Object>} The effective rules
+   */
+  async load() {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.value;
+    const snap = await this.rulesRef.get();
+    const value = { ...DEFAULT_PRICING_RULES, ...(snap.exists ? snap.data() : {}) };
+    this.cached = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  /**
+   * Saves rule changes and refreshes the cache
+   * @param {Object} changes - Rule fields to update
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<Object>} The effective rules after the change
+   */
+  async save(changes, updatedBy) {
+    await this.rulesRef.set({
+      ...changes,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cached = null;
+    return this.load();
+  }
+
+  /**
+   * Prices a recycling request
+   * @param {Object} request
+   * @param {string} request.wasteType - Normalized waste type
+   * @param {number} request.weight - Weight in kg
+   * @param {string} request.grade - Quality grade (clean, mixed or contaminated)
+   * @param {string} request.zone - Pickup zone
+   * @param {Date} request.at - When the request was completed
+   * @returns {Promise<Object>} { amount, pricePerKg, priceEffectiveFrom, breakdown }
+   */
+  async quote({ wasteType, weight, grade, zone = null, at = new Date() }) {
+    const rules = await this.load();
+    const base = await this.prices.getPriceAt(wasteType, at);
+
+    const zoneRule = zone && rules.zones ? rules.zones[zone] : null;
+    const zoneRate = zoneRule && zoneRule.pricePerKg ? zoneRule.pricePerKg[wasteType] : undefined;
+    const pricePerKg = typeof zoneRate === "number" ? zoneRate : base.pricePerKg;
+    const zoneMultiplier = zoneRule && typeof zoneRule.multiplier === "number" ? zoneRule.multiplier : 1;
+
+    const appliedGrade = GRADES.includes(grade) ? grade : rules.defaultGrade;
+    const gradeMultiplier = rules.gradeMultipliers[appliedGrade] ?? 1;
+
+    const billableWeight = weight >= (rules.minimumBillableKg || 0) ? weight : 0;
+    const tier = findVolumeTier(rules.volumeTiers, weight);
+    const tierMultiplier = tier ? tier.multiplier : 1;
+    const promotion = findPromotion(rules.promotions, { wasteType, zone, at });
+    const promotionMultiplier = promotion ? promotion.multiplier : 1;
+
+    const amount = roundMoney(billableWeight * pricePerKg * gradeMultiplier * tierMultiplier * zoneMultiplier * promotionMultiplier);
+    return {
+      amount,
+      pricePerKg,
+      priceEffectiveFrom: base.effectiveFrom,
+      breakdown: {
+        basePricePerKg: base.pricePerKg,
+        zone,
+        zoneRate: typeof zoneRate === "number" ? zoneRate : null,
+        zoneMultiplier,
+        weight,
+        minimumBillableKg: rules.minimumBillableKg || 0,
+        billableWeight,
+        grade: appliedGrade,
+        gradeMultiplier,
+        volumeTier: tier ? { minKg: tier.minKg, multiplier: tier.multiplier } : null,
+        promotion: promotion ? { id: promotion.id, name: promotion.name || null, multiplier: promotion.multiplier } : null,
+        amount,
+      },
+    };
+  }
+}
+
+module.exports = {
+  PricingRules,
+  DEFAULT_PRICING_RULES,
+  GRADES,
+};
@@ -0,0 +1,248 @@
+const admin = require("firebase-admin");
+const { measuredWeighIn } = require("./requests");
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000; // stop well inside serverless time limits; the run resumes from its cursor
+const LEASE_MS = 2 * 60 * 1000; // one invocation works on a run at a time
+
+const EMPTY_COUNTS = {
+  scanned: 0,
+  credited: 0,
+  would_credit: 0,
+  already_credited: 0,
+  skipped_missing_user: 0,
+  skipped_missing_weight: 0,
+  skipped_missing_type: 0,
+  zero_price: 0,
+  duplicate_credits: 0,
+  failed: 0,
+};
+
+/**
+ * Converts a run document into a JSON-friendly summary
+ * @param {FirebaseFirestore.DocumentSnapshot} snap - The run document
+ * @returns {Object} The run with ISO timestamps
+ */
+function serializeRun(snap) {
+  const { leaseUntil, createdAt, updatedAt, completedAt, ...run } = snap.data();
+  const iso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: snap.id,
+    ...run,
+    createdAt: iso(createdAt),
+    updatedAt: iso(updatedAt),
+    completedAt: iso(completedAt),
+  };
+}
+
+class Reconciler {
+  /**
+   * @param {Object} deps
+   * @param {FirebaseFirestore.Firestore} deps.db - Firestore instance
+   * @param {Function} deps.creditRequest - (requestId, method) => { credited, reason, amount }
+   * @param {Function} deps.quoteRequest - (requestData) => { amount }, used by dry runs
+   */
+  constructor({ db, creditRequest, quoteRequest }) {
+    this.db = db;
+    this.creditRequest = creditRequest;
+    this.quoteRequest = quoteRequest;
+    this.requestsRef = db.collection("recycling_requests");
+    this.processedRef = db.collection("processed_requests");
+    this.walletRef = db.collection("wallet_transactions");
+    this.usersRef = db.collection("users");
+    this.runsRef = db.collection("reconciliation_runs");
+  }
+
+  /**
+   * Checks one completed request and credits it if it was missed
+   * @param {FirebaseFirestore.QueryDocumentSnapshot} doc - The completed request
+   * @param {boolean} dryRun - Report what would be credited without crediting
+   * @returns {Promise<Object>} { outcome, zeroPrice, userId, amount, ... }
+   */
+  async reconcileOne(doc, dryRun) {
+    const data = doc.data() || {};
+    const base = { requestId: doc.id, userId: data.userId || null };
+    if (!data.userId) return { ...base, outcome: "skipped_missing_user" };
+    if (!measuredWeighIn(data).weight) return { ...base, outcome: "skipped_missing_weight" };
+    if (!data.wasteType) return { ...base, outcome: "skipped_missing_type" };
+
+    const credits = await this.walletRef
+      .where("relatedRequest", "==", doc.id)
+      .where("type", "==", "Recycle Credit")
+      .get();
+    if (credits.size > 1) {
+      return {
+        ...base,
+        outcome: "duplicate_credits",
+        creditCount: credits.size,
+        transactionIds: credits.docs.map((c) => c.id),
+        amount: credits.docs.reduce((sum, c) => sum + (c.data().amount || 0), 0),
+      };
+    }
+    if (credits.size === 1) {
+      const amount = credits.docs[0].data().amount || 0;
+      return { ...base, outcome: "already_credited", amount, zeroPrice: amount === 0 };
+    }
+    // Requests credited before wallet transactions carried relatedRequest only have the marker
+    const processed = await this.processedRef.doc(doc.id).get();
+    if (processed.exists) return { ...base, outcome: "already_credited" };
+
+    const user = await this.usersRef.doc(data.userId).get();
+    if (!user.exists) return { ...base, outcome: "skipped_missing_user" };
+
+    if (dryRun) {
+      const { amount } = await this.quoteRequest(data);
+      return { ...base, outcome: "would_credit", amount, zeroPrice: amount === 0 };
+    }
+    try {
+      const result = await this.creditRequest(doc.id, "reconcile");
+      if (result.credited) return { ...base, outcome: "credited", amount: result.amount, zeroPrice: result.amount === 0 };
+      if (result.reason === "already_processed") return { ...base, outcome: "already_credited" };
+      if (result.reason === "user_not_found") return { ...base, outcome: "skipped_missing_user" };
+      return { ...base, outcome: "failed", error: result.reason };
+    } catch (err) {
+      return { ...base, outcome: "failed", error: err.message };
+    }
+  }
+
+  /**
+   * Claims a run for this invocation so concurrent calls do not process the same pages
+   * @param {FirebaseFirestore.DocumentReference} ref - The run
+   * @returns {Promise<Object>} The run data
+   */
+  async claim(ref) {
+    return this.db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) throw new Error("Reconciliation run not found");
+      const run = snap.data();
+      if (run.status !== "running") return run;
+      if (run.leaseUntil && run.leaseUntil > Date.now()) {
+        throw new Error("Reconciliation run is in progress in another invocation");
+      }
+      t.update(ref, { leaseUntil: Date.now() + LEASE_MS });
+      return run;
+    });
+  }
+
+  /**
+   * Walks every completed request in document ID order, crediting any that were missed.
+   * Works for at most timeBudgetMs, then saves its cursor; call again with the runId to resume.
+   * @param {Object} options
+   * @param {string} options.runId - Run to resume; a new run is started when omitted
+   * @param {boolean} options.dryRun - For new runs: report only, credit nothing
+   * @param {number} options.pageSize - Requests read per page
+   * @param {number} options.timeBudgetMs - How long this invocation may work
+   * @param {string} options.triggeredBy - uid, "schedule" or "internal"
+   * @returns {Promise<Object>} The run summary ({ id, status, cursor, counts, ... })
+   */
+  async run({ runId = null, dryRun = false, pageSize = DEFAULT_PAGE_SIZE, timeBudgetMs = DEFAULT_TIME_BUDGET_MS, triggeredBy = "internal" } = {}) {
+    const startedAt = Date.now();
+    let ref;
+    let run;
+    if (runId) {
+      ref = this.runsRef.doc(runId);
+      run = await this.claim(ref);
+      if (run.status !== "running") return serializeRun(await ref.get());
+    } else {
+      ref = this.runsRef.doc();
+      run = {
+        status: "running",
+        dryRun: !!dryRun,
+        cursor: null,
+        pages: 0,
+        counts: { ...EMPTY_COUNTS },
+        triggeredBy,
+        leaseUntil: Date.now() + LEASE_MS,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await ref.set(run);
+    }
+
+    let cursor = run.cursor || null;
+    let done = false;
+    while (!done && Date.now() - startedAt < timeBudgetMs) {
+      let query = this.requestsRef
+        .where("status", "==", "completed")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+      if (cursor) query = query.startAfter(cursor);
+      const snap = await query.get();
+
+      const counts = {};
+      const batch = this.db.batch();
+      for (const doc of snap.docs) {
+        const result = await this.reconcileOne(doc, run.dryRun);
+        counts.scanned = (counts.scanned || 0) + 1;
+        counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+        if (result.zeroPrice) counts.zero_price = (counts.zero_price || 0) + 1;
+        // Only items someone may need to look at are kept in the report
+        if (result.outcome !== "already_credited" || result.zeroPrice) {
+          batch.set(ref.collection("items").doc(doc.id), {
+            ...result,
+            recordedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+      }
+      if (snap.size > 0) cursor = snap.docs[snap.docs.length - 1].id;
+      done = snap.size < pageSize;
+
+      const update = {
+        cursor,
+        pages: admin.firestore.FieldValue.increment(1),
+        leaseUntil: done ? null : Date.now() + LEASE_MS,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      Object.entries(counts).forEach(([key, value]) => {
+        update[`counts.${key}`] = admin.firestore.FieldValue.increment(value);
+      });
+      if (done) {
+        update.status = "completed";
+        update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      batch.update(ref, update);
+      await batch.commit();
+    }
+
+    if (!done) await ref.update({ leaseUntil: null });
+    return serializeRun(await ref.get());
+  }
+
+  /**
+   * Resumes the open (non dry-run) run, or starts one. Used by the scheduled job.
+   * @param {Object} options - As for run()
+   * @returns {Promise<Object>} The run summary
+   */
+  async resumeOrStart(options = {}) {
+    const open = await this.runsRef
+      .where("status", "==", "running")
+      .where("dryRun", "==", false)
+      .limit(1)
+      .get();
+    const runId = open.empty ? null : open.docs[0].id;
+    return this.run({ ...options, runId, dryRun: false });
+  }
+
+  /**
+   * Loads a run and the items recorded in its report
+   * @param {string} runId - The run
+   * @param {Object} options - { outcome, limit }
+   * @returns {Promise<Object>} { run, items }
+   */
+  async getReport(runId, { outcome = null, limit = 200 } = {}) {
+    const ref = this.runsRef.doc(runId);
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error("Reconciliation run not found");
+    let query = ref.collection("items");
+    if (outcome) query = query.where("outcome", "==", outcome);
+    const items = await query.limit(limit).get();
+    return {
+      run: serializeRun(snap),
+      items: items.docs.map((d) => d.data()),
+    };
+  }
+}
+
+module.exports = {
+  Reconciler,
+};
@@ -0,0 +1,247 @@
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+
+const CACHE_TTL_MS = 60 * 1000; // policies are re-read at most once a minute
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const CODE_LENGTH = 7;
+
+// Used until admins save policies/referrals in Firestore
+const DEFAULT_REFERRAL_POLICY = {
+  enabled: true,
+  referrerBonus: 50,
+  refereeBonus: 50,
+};
+
+/**
+ * Raised when a referral code cannot be attached
+ */
+class ReferralError extends Error {
+  /**
+   * @param {string} code - NOT_FOUND, INVALID_CODE, SELF_REFERRAL, ALREADY_REFERRED, NOT_ELIGIBLE,
+   *   PHONE_NOT_VERIFIED or PHONE_REUSED
+   * @param {string} message - Human readable reason
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "ReferralError";
+    this.code = code;
+  }
+}
+
+/**
+ * Normalizes a code as typed by a user
+ * @param {string} code - e.g. " ab3-k9xq "
+ * @returns {string} e.g. "AB3K9XQ"
+ */
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function generateCode() {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("");
+}
+
+class Referrals {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {Object} deps
+   * @param {Ledger} deps.ledger - Posts referral bonuses to wallets
+   */
+  constructor(db, { ledger }) {
+    this.db = db;
+    this.ledger = ledger;
+    this.policyRef = db.collection("policies").doc("referrals");
+    this.usersRef = db.collection("users");
+    this.codesRef = db.collection("referral_codes");
+    // One document per phone number that has ever been used to claim a referral
+    this.phonesRef = db.collection("referral_phones");
+    this.cached = null;
+  }
+
+  /**
+   * Loads the current policy, merged over the defaults
+   * @returns {Promise<Object>} The effective policy
+   */
+  async load() {
+    if (this.cached && this.cached.expiresAt > Date.now()) return this.cached.value;
+    const snap = await this.policyRef.get();
+    const value = { ...DEFAULT_REFERRAL_POLICY, ...(snap.exists ? snap.data() : {}) };
+    this.cached = { value, expiresAt: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  /**
+   * Saves policy changes and refreshes the cache
+   * @param {Object} changes - Policy fields to update
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<Object>} The effective policy after the change
+   */
+  async save(changes, updatedBy) {
+    await this.policyRef.set({
+      ...changes,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cached = null;
+    return this.load();
+  }
+
+  /**
+   * Returns a user's referral code, creating one the first time
+   * @param {string} userId - The user
+   * @returns {Promise<string>} The code
+   */
+  async ensureCode(userId) {
+    const userRef = this.usersRef.doc(userId);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = generateCode();
+      const code = await this.db.runTransaction(async (tx) => {
+        const codeRef = this.codesRef.doc(candidate);
+        const [userSnap, codeSnap] = await Promise.all([tx.get(userRef), tx.get(codeRef)]);
+        if (!userSnap.exists) throw new ReferralError("NOT_FOUND", "User not found");
+        if (userSnap.data().referralCode) return userSnap.data().referralCode;
+        if (codeSnap.exists) return null;
+        tx.set(codeRef, { ownerUid: userId, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+        tx.update(userRef, { referralCode: candidate });
+        return candidate;
+      });
+      if (code) return code;
+    }
+    throw new Error("Could not generate a unique referral code");
+  }
+
+  /**
+   * Attaches a referral code to a user inside a transaction. Does all its reads first and only writes
+   * once the referral is valid, so callers may catch ReferralError and carry on with their own writes.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction (no writes made yet)
+   * @param {Object} params
+   * @param {string} params.userId - The new user (referee)
+   * @param {Object} params.user - The referee's document data, or null if it does not exist yet
+   * @param {string} params.code - The referral code
+   * @param {string} params.phone - The referee's verified, normalized phone number
+   * @returns {Promise<Object>} { attached: true, referrerUid, code }
+   */
+  async attach(tx, { userId, user, code, phone }) {
+    const normalized = normalizeCode(code);
+    if (!normalized) throw new ReferralError("INVALID_CODE", "Referral code is invalid");
+    if (!phone) throw new ReferralError("PHONE_NOT_VERIFIED", "Verify your phone number before adding a referral code");
+    const [codeSnap, phoneSnap] = await Promise.all([
+      tx.get(this.codesRef.doc(normalized)),
+      tx.get(this.phonesRef.doc(phone)),
+    ]);
+    if (!codeSnap.exists) throw new ReferralError("INVALID_CODE", "Referral code is invalid");
+    const referrerUid = codeSnap.data().ownerUid;
+    const referrerSnap = await tx.get(this.usersRef.doc(referrerUid));
+
+    if (referrerUid === userId) throw new ReferralError("SELF_REFERRAL", "You cannot use your own referral code");
+    if (user && user.referral) throw new ReferralError("ALREADY_REFERRED", "A referral code was already added to this account");
+    if (user && ((user.recyclingCount || 0) > 0 || (user.recycledWeight || 0) > 0)) {
+      throw new ReferralError("NOT_ELIGIBLE", "Referral codes can only be added before your first recycling credit");
+    }
+    if (!referrerSnap.exists) throw new ReferralError("INVALID_CODE", "Referral code is invalid");
+    const referrer = referrerSnap.data();
+    if (phoneSnap.exists || [referrer.phoneNumber, referrer.previousPhoneNumber].includes(phone)) {
+      throw new ReferralError("PHONE_REUSED", "This phone number cannot be used for a referral");
+    }
+
+    tx.set(this.phonesRef.doc(phone), {
+      userId,
+      referrerUid,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.set(this.usersRef.doc(userId), {
+      referral: {
+        referrerUid,
+        code: normalized,
+        phone,
+        status: "pending",
+        attachedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    }, { merge: true });
+    tx.set(this.usersRef.doc(referrerUid), {
+      referralStats: { joined: admin.firestore.FieldValue.increment(1) },
+    }, { merge: true });
+    return { attached: true, referrerUid, code: normalized };
+  }
+
+  /**
+   * Attaches a code outside phone verification; the user's phone must already be verified
+   * @param {string} userId - The referee
+   * @param {string} code - The referral code
+   * @returns {Promise<Object>} { attached: true, referrerUid, code }
+   */
+  async attachCode(userId, code) {
+    return this.db.runTransaction(async (tx) => {
+      const userSnap = await tx.get(this.usersRef.doc(userId));
+      if (!userSnap.exists) throw new ReferralError("NOT_FOUND", "User not found");
+      const user = userSnap.data();
+      const phone = user.phoneVerified === true ? user.phoneNumber : null;
+      return this.attach(tx, { userId, user, code, phone });
+    });
+  }
+
+  /**
+   * Checks whether a credit earns referral bonuses. Reads inside the crediting transaction;
+   * call before its writes and pass the result to applyBonus().
+   * @param {FirebaseFirestore.Transaction} tx - The crediting transaction
+   * @param {string} userId - The credited user
+   * @param {Object} user - The credited user's document data
+   * @returns {Promise<Object|null>} The bonus plan, or null when nothing is due
+   */
+  async prepareBonus(tx, userId, user) {
+    if (!user.referral || user.referral.status !== "pending") return null;
+    const policy = await this.load();
+    if (!policy.enabled) return null;
+    const { referrerUid } = user.referral;
+    const referrerSnap = await tx.get(this.usersRef.doc(referrerUid));
+    return {
+      userId,
+      referrerUid,
+      referrerExists: referrerSnap.exists,
+      referrerBonus: policy.referrerBonus,
+      refereeBonus: policy.refereeBonus,
+    };
+  }
+
+  /**
+   * Posts the bonuses from prepareBonus() and marks the referral rewarded
+   * @param {FirebaseFirestore.Transaction} tx - The crediting transaction
+   * @param {Object} plan - From prepareBonus()
+   * @param {string} requestId - The request whose credit earned the bonus
+   * @returns {Array} [{ userId, amount, role }] for each bonus paid
+   */
+  applyBonus(tx, plan, requestId) {
+    const paid = [];
+    if (plan.refereeBonus > 0) {
+      this.ledger.creditReferralBonus(tx, {
+        userId: plan.userId, amount: plan.refereeBonus, role: "referee", otherUserId: plan.referrerUid, requestId,
+      });
+      paid.push({ userId: plan.userId, amount: plan.refereeBonus, role: "referee" });
+    }
+    if (plan.referrerExists && plan.referrerBonus > 0) {
+      this.ledger.creditReferralBonus(tx, {
+        userId: plan.referrerUid, amount: plan.referrerBonus, role: "referrer", otherUserId: plan.userId, requestId,
+      });
+      tx.set(this.usersRef.doc(plan.referrerUid), {
+        referralStats: {
+          rewarded: admin.firestore.FieldValue.increment(1),
+          earned: admin.firestore.FieldValue.increment(plan.referrerBonus),
+        },
+      }, { merge: true });
+      paid.push({ userId: plan.referrerUid, amount: plan.referrerBonus, role: "referrer" });
+    }
+    tx.update(this.usersRef.doc(plan.userId), {
+      "referral.status": "rewarded",
+      "referral.rewardedAt": admin.firestore.FieldValue.serverTimestamp(),
+      "referral.requestId": requestId,
+    });
+    return paid;
+  }
+}
+
+module.exports = {
+  Referrals,
+  ReferralError,
+  DEFAULT_REFERRAL_POLICY,
+  normalizeCode,
+};
@@ -0,0 +1,231 @@
+const admin = require("firebase-admin");
+
+// Allowed moves between recycling request statuses; completed and cancelled are final
+const TRANSITIONS = {
+  pending: ["accepted", "cancelled"],
+  accepted: ["scheduled", "collected", "cancelled"],
+  scheduled: ["scheduled", "collected", "cancelled"],
+  collected: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+const REQUEST_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses in which a request can still be assigned to a collector
+const ASSIGNABLE_STATUSES = ["pending", "accepted", "scheduled"];
+
+// Fields a request must carry before it can enter a status
+const REQUIRED_FIELDS = {
+  scheduled: ["scheduledFor"],
+  completed: ["weight"],
+};
+
+/**
+ * Raised when a request cannot move to the requested status
+ */
+class RequestTransitionError extends Error {
+  /**
+   * @param {string} code - NOT_FOUND, FORBIDDEN, ILLEGAL_TRANSITION or MISSING_FIELD
+   * @param {string} message - Human readable reason
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "RequestTransitionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Weight and grade a request is credited with: the latest weigh-in when there is one,
+ * otherwise the fields on the request
+ * @param {Object} data - recycling_requests document data
+ * @returns {Object} { weight, grade }
+ */
+function measuredWeighIn(data) {
+  const weighIn = data.weighIn || {};
+  return {
+    weight: weighIn.weight ?? data.weight ?? null,
+    grade: weighIn.grade ?? data.grade ?? null,
+  };
+}
+
+/**
+ * Whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+class RecyclingRequests {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.requestsRef = db.collection("recycling_requests");
+    this.collectorStatsRef = db.collection("collector_stats");
+  }
+
+  /**
+   * Creates a pending request
+   * @param {Object} request - { userId, wasteType, estimatedWeight, address, location, notes }
+   * @param {string} createdBy - uid of the creator
+   * @param {Object} options
+   * @param {Function} options.prepare - Optional async (tx) => fields, e.g. to book a pickup slot in the same transaction
+   * @returns {Promise<Object>} The created request with its id
+   */
+  async create(request, createdBy, { prepare = null } = {}) {
+    const ref = this.requestsRef.doc();
+    return this.db.runTransaction(async (tx) => {
+      const extra = prepare ? await prepare(tx) : {};
+      tx.set(ref, {
+        ...request,
+        ...extra,
+        status: "pending",
+        createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        statusHistory: [{ from: null, to: "pending", by: createdBy, at: admin.firestore.Timestamp.now() }],
+      });
+      return { id: ref.id, ...request, ...extra, status: "pending" };
+    });
+  }
+
+  /**
+   * Moves a request to a new status, recording who made the change and when.
+   * Completing an assigned request also adds to the collector's statistics.
+   * @param {string} requestId - The recycling request
+   * @param {string} to - Target status
+   * @param {Object} options
+   * @param {string} options.by - uid of the actor
+   * @param {Object} options.changes - Fields to set along with the status (e.g. weight, scheduledFor)
+   * @param {string} options.reason - Optional note stored in the history
+   * @param {Function} options.authorize - Optional check run against the current request data; throw to refuse
+   * @param {Function} options.prepare - Optional async (tx, current) => fields, run once the move is allowed and before
+   *   the request is written; may read and write other documents (e.g. slot bookings) in the same transaction
+   * @returns {Promise<Object>} { id, from, to, request } where request is the data after the change
+   */
+  async transition(requestId, to, { by, changes = {}, reason = null, authorize = null, prepare = null }) {
+    const ref = this.requestsRef.doc(requestId);
+    return this.db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw new RequestTransitionError("NOT_FOUND", "Request not found");
+      const current = snap.data();
+      if (authorize) authorize(current);
+      const from = current.status || "pending";
+      if (!canTransition(from, to)) {
+        throw new RequestTransitionError("ILLEGAL_TRANSITION", `Cannot move a ${from} request to ${to}`);
+      }
+      if (prepare) changes = { ...changes, ...(await prepare(tx, current)) };
+      const next = { ...current, ...changes };
+      const measured = { ...next, ...measuredWeighIn(next) };
+      const missing = (REQUIRED_FIELDS[to] || []).filter((f) => measured[f] === undefined || measured[f] === null);
+      if (missing.length) {
+        throw new RequestTransitionError("MISSING_FIELD", `${missing.join(", ")} required to mark a request ${to}`);
+      }
+      const entry = { from, to, by, at: admin.firestore.Timestamp.now() };
+      if (reason) entry.reason = reason;
+      // Completed pickups count towards the assigned collector's statistics
+      const collectorId = current.assignedCollector;
+      if (to === "completed" && collectorId) {
+        const { weight } = measuredWeighIn(next);
+        const assignedAt = current.assignedAt && current.assignedAt.toMillis ? current.assignedAt.toMillis() : null;
+        tx.set(this.collectorStatsRef.doc(collectorId), {
+          pickups: admin.firestore.FieldValue.increment(1),
+          kg: admin.firestore.FieldValue.increment(weight || 0),
+          completionMs: admin.firestore.FieldValue.increment(assignedAt ? Math.max(0, Date.now() - assignedAt) : 0),
+          timedPickups: admin.firestore.FieldValue.increment(assignedAt ? 1 : 0),
+          lastCompletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+      }
+      tx.update(ref, {
+        ...changes,
+        status: to,
+        [`${to}At`]: admin.firestore.FieldValue.serverTimestamp(),
+        [`${to}By`]: by,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        statusHistory: admin.firestore.FieldValue.arrayUnion(entry),
+      });
+      return { id: requestId, from, to, request: { ...next, status: to } };
+    });
+  }
+
+  /**
+   * Assigns an open request to a collector, replacing any earlier assignment
+   * @param {string} requestId - The recycling request
+   * @param {string} collectorId - uid of the collector
+   * @param {string} by - uid of the admin
+   * @returns {Promise<Object>} { id, previousCollector, request }
+   */
+  async assign(requestId, collectorId, by) {
+    const ref = this.requestsRef.doc(requestId);
+    return this.db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw new RequestTransitionError("NOT_FOUND", "Request not found");
+      const current = snap.data();
+      const status = current.status || "pending";
+      if (!ASSIGNABLE_STATUSES.includes(status)) {
+        throw new RequestTransitionError("ILLEGAL_TRANSITION", `Cannot assign a ${status} request`);
+      }
+      const previousCollector = current.assignedCollector || null;
+      if (previousCollector === collectorId) return { id: requestId, previousCollector, request: current };
+      const now = admin.firestore.Timestamp.now();
+      tx.update(ref, {
+        assignedCollector: collectorId,
+        assignedAt: now,
+        assignedBy: by,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        assignmentHistory: admin.firestore.FieldValue.arrayUnion({ from: previousCollector, to: collectorId, by, at: now }),
+      });
+      tx.set(this.collectorStatsRef.doc(collectorId), {
+        assigned: admin.firestore.FieldValue.increment(1),
+      }, { merge: true });
+      return { id: requestId, previousCollector, request: { ...current, assignedCollector: collectorId } };
+    });
+  }
+
+  /**
+   * Lists the requests assigned to a collector, soonest pickup first
+   * @param {string} collectorId - uid of the collector
+   * @param {Array} statuses - Statuses to include (default: open jobs)
+   * @returns {Promise<Array>} Requests with their ids
+   */
+  async listAssigned(collectorId, statuses = [...ASSIGNABLE_STATUSES, "collected"]) {
+    const snap = await this.requestsRef.where("assignedCollector", "==", collectorId).get();
+    const when = (r) => (r.scheduledFor && r.scheduledFor.toMillis ? r.scheduledFor.toMillis() : Infinity);
+    return snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((r) => statuses.includes(r.status || "pending"))
+      .sort((a, b) => when(a) - when(b));
+  }
+
+  /**
+   * A collector's pickup statistics
+   * @param {string} collectorId - uid of the collector
+   * @returns {Promise<Object>} { collectorId, assigned, pickups, kg, averageCompletionMinutes, lastCompletedAt }
+   */
+  async collectorStats(collectorId) {
+    const snap = await this.collectorStatsRef.doc(collectorId).get();
+    const stats = snap.exists ? snap.data() : {};
+    return {
+      collectorId,
+      assigned: stats.assigned || 0,
+      pickups: stats.pickups || 0,
+      kg: Math.round((stats.kg || 0) * 1000) / 1000,
+      averageCompletionMinutes: stats.timedPickups ? Math.round(stats.completionMs / stats.timedPickups / 60000) : null,
+      lastCompletedAt: stats.lastCompletedAt && stats.lastCompletedAt.toDate ? stats.lastCompletedAt.toDate().toISOString() : null,
+    };
+  }
+}
+
+module.exports = {
+  RecyclingRequests,
+  RequestTransitionError,
+  REQUEST_STATUSES,
+  canTransition,
+  measuredWeighIn,
+};
@@ -0,0 +1,477 @@
+const admin = require("firebase-admin");
+const { ImpactFactors, computeImpact, parseRecycleCredit } = require("./impact");
+
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000; // rollup days and months are Nairobi days and months (UTC+3, no DST)
+const BATCH_LIMIT = 400;
+// Live increments are spread over this many shard documents per rollup, so money transactions do not
+// all contend on "all" (Firestore sustains about one write per second per document); reads sum the shards
+const ROLLUP_SHARDS = 10;
+// A scanned user touches at most four day/month documents plus "all", so 75 users stay inside one batch
+// together with the run update; the page and its cursor must commit together or a resume would count twice
+const REBUILD_PAGE_SIZE = 75;
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000; // stop well inside serverless time limits; the rebuild resumes from its cursor
+const LEASE_MS = 2 * 60 * 1000; // one invocation works on a rebuild at a time
+// Users created straight from the app are only counted by the Cloud Functions trigger, so deployments
+// without it rely on a periodic rebuild to bring the per-day user counts up to date
+const REBUILD_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Users and wallet_transactions are summed into the run's staged rollups; the live shards are then cleared
+// and the staged rollups replace the live ones
+const REBUILD_PHASES = ["users", "transactions", "reset", "publish", "prune"];
+
+/**
+ * Rollup document keys for a moment in time
+ * @param {Date} date - The moment
+ * @returns {Object} { day: "YYYY-MM-DD", month: "YYYY-MM" } in Nairobi time
+ */
+function periodKeys(date) {
+  const local = new Date(date.getTime() + NAIROBI_OFFSET_MS).toISOString();
+  return { day: local.slice(0, 10), month: local.slice(0, 7) };
+}
+
+// Field names can't contain dots; waste types and statuses are used as map keys
+function fieldKey(value) {
+  return String(value || "unknown").replace(/[.\/]/g, "_");
+}
+
+/**
+ * Turns { "a.b": 1 } into { a: { b: 1 } }, applying fn to each leaf
+ * @param {Object} flat - Values keyed by dotted path
+ * @param {Function} fn - Leaf mapper
+ * @returns {Object} The nested object
+ */
+function nest(flat, fn = (v) => v) {
+  const out = {};
+  Object.entries(flat).forEach(([path, value]) => {
+    const parts = path.split(".");
+    let node = out;
+    parts.slice(0, -1).forEach((p) => {
+      node[p] = node[p] || {};
+      node = node[p];
+    });
+    node[parts[parts.length - 1]] = fn(value);
+  });
+  return out;
+}
+
+/**
+ * Adds the numeric leaves of a rollup document into a totals object; labels and timestamps are skipped
+ * @param {Object} target - Totals, nested like the rollup documents
+ * @param {Object} data - Rollup or shard document data
+ * @returns {Object} The target
+ */
+function addMetrics(target, data) {
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (typeof value === "number") target[key] = (target[key] || 0) + value;
+    else if (value && typeof value === "object" && !value.toDate) {
+      target[key] = target[key] && typeof target[key] === "object" ? target[key] : {};
+      addMetrics(target[key], value);
+    }
+  });
+  return target;
+}
+
+/**
+ * Converts a rebuild document into a JSON-friendly summary
+ * @param {FirebaseFirestore.DocumentSnapshot} snap - The rebuild document
+ * @returns {Object} The rebuild with ISO timestamps
+ */
+function serializeRebuild(snap) {
+  const { leaseUntil, createdAt, updatedAt, completedAt, ...run } = snap.data();
+  const iso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: snap.id,
+    ...run,
+    createdAt: iso(createdAt),
+    updatedAt: iso(updatedAt),
+    completedAt: iso(completedAt),
+  };
+}
+
+/**
+ * Metrics a wallet transaction contributes to its period
+ * @param {Object} d - wallet_transactions document data
+ * @param {Object} factors - Impact factors (ImpactFactors.loadAll()), used when the transaction predates stored impact
+ * @returns {Object} Increments keyed by dotted path
+ */
+function transactionMetrics(d, factors = {}) {
+  const flat = {};
+  const add = (path, value) => {
+    if (!value) return;
+    flat[path] = (flat[path] || 0) + value;
+  };
+  const type = d.type || "unknown";
+  const status = d.status || "unknown";
+  const amount = typeof d.amount === "number" ? d.amount : 0;
+
+  add("transactions.count", 1);
+  add("transactions.absAmount", Math.abs(amount));
+  add(`transactions.byType.${fieldKey(type)}.count`, 1);
+  add(`transactions.byType.${fieldKey(type)}.amount`, amount);
+  add(`transactions.byStatus.${fieldKey(status)}`, 1);
+
+  if (type === "Recycle Credit") {
+    const { kg, wasteType } = parseRecycleCredit(d);
+    const impact = d.impact || computeImpact(ImpactFactors.resolve(factors, wasteType), kg);
+    const typeKey = `recycling.byWasteType.${fieldKey(wasteType)}`;
+    add("recycling.requests", 1);
+    add("recycling.kg", kg);
+    add("recycling.amount", amount);
+    add("recycling.co2", impact.co2Saved);
+    add("recycling.water", impact.waterSaved);
+    add("recycling.energy", impact.energySaved);
+    add(`${typeKey}.requests`, 1);
+    add(`${typeKey}.kg`, kg);
+    add(`${typeKey}.amount`, amount);
+    add(`${typeKey}.co2`, impact.co2Saved);
+    add(`${typeKey}.water`, impact.waterSaved);
+    add(`${typeKey}.energy`, impact.energySaved);
+    const zone = d.pricing && d.pricing.zone;
+    if (zone) {
+      add(`recycling.byZone.${fieldKey(zone)}.requests`, 1);
+      add(`recycling.byZone.${fieldKey(zone)}.kg`, kg);
+      add(`recycling.byZone.${fieldKey(zone)}.amount`, amount);
+    }
+  } else if (type === "Withdraw") {
+    add("withdrawals.count", 1);
+    add("withdrawals.amount", Math.abs(amount));
+    add(`withdrawals.byStatus.${fieldKey(status)}.count`, 1);
+    add(`withdrawals.byStatus.${fieldKey(status)}.amount`, Math.abs(amount));
+  } else if (type === "Refund") {
+    add("refunds.count", 1);
+    add("refunds.amount", amount);
+  } else if (type === "Fee") {
+    add("fees.count", 1);
+    add("fees.amount", Math.abs(amount));
+  } else if (type === "Points Redemption") {
+    add("redemptions.count", 1);
+    add("redemptions.amount", amount);
+    add("redemptions.points", d.points || 0);
+  } else if (type === "Referral Bonus") {
+    add("referrals.count", 1);
+    add("referrals.amount", amount);
+  }
+  return flat;
+}
+
+class Rollups {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.rollupsRef = db.collection("analytics_rollups");
+    this.shardsRef = db.collection("analytics_rollup_shards");
+    this.rebuildsRef = db.collection("analytics_rebuilds");
+    this.usersRef = db.collection("users");
+    this.walletRef = db.collection("wallet_transactions");
+  }
+
+  /**
+   * Adds increments to a random shard of the day, month and all-time rollups inside a transaction or batch
+   * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} tx - The running transaction or batch
+   * @param {Date} date - When the change happened
+   * @param {Object} flat - Increments keyed by dotted path
+   */
+  increment(tx, date, flat) {
+    if (Object.keys(flat).length === 0) return;
+    const { day, month } = periodKeys(date);
+    const data = nest(flat, (v) => admin.firestore.FieldValue.increment(v));
+    const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    const shard = Math.floor(Math.random() * ROLLUP_SHARDS);
+    tx.set(this.shardsRef.doc(`day_${day}_${shard}`), { period: "day", key: day, ...data, updatedAt }, { merge: true });
+    tx.set(this.shardsRef.doc(`month_${month}_${shard}`), { period: "month", key: month, ...data, updatedAt }, { merge: true });
+    tx.set(this.shardsRef.doc(`all_${shard}`), { period: "all", key: "all", ...data, updatedAt }, { merge: true });
+  }
+
+  /**
+   * Records a new wallet transaction
+   * @param {FirebaseFirestore.Transaction} tx - The transaction writing it
+   * @param {Object} walletTransaction - The transaction data (null for postings without one)
+   * @param {number} walletDelta - Change to users' total wallet balance
+   */
+  recordTransaction(tx, walletTransaction, walletDelta = 0) {
+    const flat = walletTransaction ? transactionMetrics(walletTransaction) : {};
+    if (walletDelta) flat["wallet.balance"] = walletDelta;
+    this.increment(tx, new Date(), flat);
+  }
+
+  /**
+   * Moves a withdrawal between statuses in the period it was created in
+   * @param {FirebaseFirestore.Transaction} tx - The transaction changing the status
+   * @param {Object} withdrawal - The Withdraw transaction data before the change
+   * @param {string} to - The new status
+   */
+  recordStatusChange(tx, withdrawal, to) {
+    const from = withdrawal.status || "unknown";
+    if (from === to) return;
+    const amount = Math.abs(withdrawal.amount || 0);
+    const created = withdrawal.timestamp && withdrawal.timestamp.toDate ? withdrawal.timestamp.toDate() : new Date();
+    this.increment(tx, created, {
+      [`transactions.byStatus.${fieldKey(from)}`]: -1,
+      [`transactions.byStatus.${fieldKey(to)}`]: 1,
+      [`withdrawals.byStatus.${fieldKey(from)}.count`]: -1,
+      [`withdrawals.byStatus.${fieldKey(from)}.amount`]: -amount,
+      [`withdrawals.byStatus.${fieldKey(to)}.count`]: 1,
+      [`withdrawals.byStatus.${fieldKey(to)}.amount`]: amount,
+    });
+  }
+
+  /**
+   * Records users joining or verifying their phone number
+   * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} tx - The running transaction or batch
+   * @param {Object} change - { created, verified }
+   */
+  recordUser(tx, { created = false, verified = false }) {
+    const flat = {};
+    if (created) flat["users.new"] = 1;
+    if (verified) flat["users.verified"] = 1;
+    this.increment(tx, new Date(), flat);
+  }
+
+  /**
+   * Reads rollup documents
+   * @param {string} period - "day" or "month"
+   * @param {string} fromKey - First key (inclusive), e.g. "2026-01" or "2026-01-01"
+   * @param {string} toKey - Last key (inclusive)
+   * @returns {Promise<Array>} Rollup data ordered by key
+   */
+  async range(period, fromKey, toKey) {
+    const byId = (ref, last) => ref
+      .where(admin.firestore.FieldPath.documentId(), ">=", `${period}_${fromKey}`)
+      .where(admin.firestore.FieldPath.documentId(), "<=", last)
+      .get();
+    // Shard IDs carry a _{shard} suffix after the key
+    const [base, shards] = await Promise.all([
+      byId(this.rollupsRef, `${period}_${toKey}`),
+      byId(this.shardsRef, `${period}_${toKey}_\uf8ff`),
+    ]);
+    const merged = new Map();
+    [...base.docs, ...shards.docs].forEach((doc) => {
+      const data = doc.data();
+      if (!merged.has(data.key)) merged.set(data.key, { period: data.period, key: data.key });
+      addMetrics(merged.get(data.key), data);
+    });
+    return [...merged.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Reads the all-time rollup
+   * @returns {Promise<Object>} The totals (empty when nothing was recorded yet)
+   */
+  async totals() {
+    const refs = [this.rollupsRef.doc("all"), ...Array.from({ length: ROLLUP_SHARDS }, (_, i) => this.shardsRef.doc(`all_${i}`))];
+    const snaps = await this.db.getAll(...refs);
+    return snaps.reduce((acc, snap) => (snap.exists ? addMetrics(acc, snap.data()) : acc), {});
+  }
+
+  /**
+   * Sums one page of users or wallet transactions into rollup increments
+   * @param {string} phase - "users" or "transactions"
+   * @param {Array} docs - The page's documents
+   * @param {Object} factors - Impact factors for transactions without stored impact
+   * @returns {Map} Rollup document ID to { period, key, flat }
+   */
+  summarize(phase, docs, factors) {
+    const out = new Map();
+    const addTo = (id, period, key, flat) => {
+      const current = out.get(id) || { period, key, flat: {} };
+      Object.entries(flat).forEach(([path, value]) => {
+        current.flat[path] = (current.flat[path] || 0) + value;
+      });
+      out.set(id, current);
+    };
+    const addAll = (date, flat) => {
+      const { day, month } = periodKeys(date);
+      addTo(`day_${day}`, "day", day, flat);
+      addTo(`month_${month}`, "month", month, flat);
+      addTo("all", "all", "all", flat);
+    };
+    const createdAt = (doc) => (doc.createTime ? doc.createTime.toDate() : new Date());
+
+    docs.forEach((doc) => {
+      const d = doc.data();
+      if (phase === "users") {
+        addAll(createdAt(doc), { "users.new": 1 });
+        if (d.phoneVerified === true) {
+          addAll(d.lastVerified && d.lastVerified.toDate ? d.lastVerified.toDate() : createdAt(doc), { "users.verified": 1 });
+        }
+        if (typeof d.walletBalance === "number" && d.walletBalance !== 0) {
+          addTo("all", "all", "all", { "wallet.balance": d.walletBalance });
+        }
+        return;
+      }
+      if (d.type === "Admin Action") return; // notes, not money
+      addAll(d.timestamp && d.timestamp.toDate ? d.timestamp.toDate() : createdAt(doc), transactionMetrics(d, factors));
+    });
+    return out;
+  }
+
+  /**
+   * Claims a rebuild for this invocation so concurrent calls do not process the same pages
+   * @param {FirebaseFirestore.DocumentReference} ref - The rebuild
+   * @returns {Promise<Object>} The rebuild data
+   */
+  async claim(ref) {
+    return this.db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) throw new Error("Rollup rebuild not found");
+      const run = snap.data();
+      if (run.status !== "running") return run;
+      if (run.leaseUntil && run.leaseUntil > Date.now()) {
+        throw new Error("Rollup rebuild is in progress in another invocation");
+      }
+      t.update(ref, { leaseUntil: Date.now() + LEASE_MS });
+      return run;
+    });
+  }
+
+  /**
+   * Works through one page of the current phase, adding it to the batch with the run update
+   * @param {FirebaseFirestore.DocumentReference} ref - The rebuild
+   * @param {Object} run - { phase, cursor }
+   * @param {FirebaseFirestore.WriteBatch} batch - Batch the page's writes go into
+   * @param {Object} factors - Impact factors for transactions without stored impact
+   * @returns {Promise<Object>} { counts, cursor, done } where done means the phase is finished
+   */
+  async rebuildPage(ref, { phase, cursor }, batch, factors) {
+    const staged = ref.collection("rollups");
+    const source = { users: this.usersRef, transactions: this.walletRef, reset: this.shardsRef, publish: staged, prune: this.rollupsRef }[phase];
+    const pageSize = phase === "users" || phase === "transactions" ? REBUILD_PAGE_SIZE : BATCH_LIMIT;
+    let query = source.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (cursor) query = query.startAfter(cursor);
+    const snap = await query.get();
+    const counts = {};
+
+    if (phase === "users" || phase === "transactions") {
+      counts[phase] = snap.size;
+      this.summarize(phase, snap.docs, factors).forEach(({ period, key, flat }, id) => {
+        batch.set(staged.doc(id), { period, key, ...nest(flat, (v) => admin.firestore.FieldValue.increment(v)) }, { merge: true });
+      });
+    } else if (phase === "reset") {
+      // The staged totals already include what the shards counted
+      counts.shardsCleared = snap.size;
+      snap.docs.forEach((doc) => batch.delete(doc.ref));
+    } else if (phase === "publish") {
+      counts.documents = snap.size;
+      snap.docs.forEach((doc) => {
+        batch.set(this.rollupsRef.doc(doc.id), { ...doc.data(), rebuiltAt: admin.firestore.FieldValue.serverTimestamp() });
+      });
+    } else if (snap.size > 0) {
+      // Stale documents for periods with no data left are removed
+      const kept = await this.db.getAll(...snap.docs.map((d) => staged.doc(d.id)));
+      const stale = snap.docs.filter((d, i) => !kept[i].exists);
+      counts.removed = stale.length;
+      stale.forEach((d) => batch.delete(d.ref));
+    }
+    return {
+      counts,
+      cursor: snap.size > 0 ? snap.docs[snap.docs.length - 1].id : cursor,
+      done: snap.size < pageSize,
+    };
+  }
+
+  /**
+   * Regenerates every rollup from users and wallet_transactions, replacing what is stored. Both are summed into
+   * staged documents under the rebuild first, so the live rollups only change once the totals are complete.
+   * Works for at most timeBudgetMs, then saves its phase and cursor; call again with the runId to resume.
+   * Changes that land between the start of a rebuild and its reset phase may be lost; run it when traffic is low.
+   * @param {Object} options
+   * @param {string} options.runId - Rebuild to resume; a new rebuild is started when omitted
+   * @param {Object} options.factors - Impact factors for transactions without stored impact
+   * @param {number} options.timeBudgetMs - How long this invocation may work
+   * @param {string} options.triggeredBy - uid, "schedule" or "internal"
+   * @returns {Promise<Object>} The rebuild summary ({ id, status, phase, cursor, counts, ... })
+   */
+  async rebuild({ runId = null, factors = {}, timeBudgetMs = DEFAULT_TIME_BUDGET_MS, triggeredBy = "internal" } = {}) {
+    const startedAt = Date.now();
+    let ref;
+    let run;
+    if (runId) {
+      ref = this.rebuildsRef.doc(runId);
+      run = await this.claim(ref);
+      if (run.status !== "running") return serializeRebuild(await ref.get());
+    } else {
+      const open = await this.rebuildsRef.where("status", "==", "running").limit(1).get();
+      if (!open.empty) throw new Error(`Rollup rebuild ${open.docs[0].id} is in progress; resume it instead`);
+      ref = this.rebuildsRef.doc();
+      run = {
+        status: "running",
+        phase: REBUILD_PHASES[0],
+        cursor: null,
+        pages: 0,
+        counts: { users: 0, transactions: 0, shardsCleared: 0, documents: 0, removed: 0 },
+        triggeredBy,
+        leaseUntil: Date.now() + LEASE_MS,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await ref.set(run);
+    }
+
+    let { phase, cursor } = run;
+    let finished = false;
+    while (!finished && Date.now() - startedAt < timeBudgetMs) {
+      const batch = this.db.batch();
+      const page = await this.rebuildPage(ref, { phase, cursor }, batch, factors);
+      const nextPhase = page.done ? REBUILD_PHASES[REBUILD_PHASES.indexOf(phase) + 1] : phase;
+      finished = !nextPhase;
+      cursor = page.done ? null : page.cursor;
+      phase = nextPhase || phase;
+
+      const update = {
+        phase,
+        cursor,
+        pages: admin.firestore.FieldValue.increment(1),
+        leaseUntil: finished ? null : Date.now() + LEASE_MS,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      Object.entries(page.counts).forEach(([key, value]) => {
+        update[`counts.${key}`] = admin.firestore.FieldValue.increment(value);
+      });
+      if (finished) {
+        update.status = "completed";
+        update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      batch.update(ref, update);
+      await batch.commit();
+    }
+
+    if (!finished) await ref.update({ leaseUntil: null });
+    return serializeRebuild(await ref.get());
+  }
+
+  /**
+   * Resumes the open rebuild, or starts one when the last completed rebuild is older than intervalMs
+   * (or there was none, so a fresh deployment fills in history without anyone asking). Used by the scheduled job.
+   * @param {Object} options - As for rebuild(), plus intervalMs
+   * @returns {Promise<Object|null>} The rebuild summary, or null when there was nothing to do
+   */
+  async resumePending({ intervalMs = REBUILD_INTERVAL_MS, ...options } = {}) {
+    const open = await this.rebuildsRef.where("status", "==", "running").limit(1).get();
+    if (!open.empty) return this.rebuild({ ...options, runId: open.docs[0].id });
+    // Only completed rebuilds carry completedAt
+    const last = await this.rebuildsRef.orderBy("completedAt", "desc").limit(1).get();
+    const completedAt = last.empty ? null : last.docs[0].data().completedAt;
+    if (completedAt && completedAt.toMillis() > Date.now() - intervalMs) return null;
+    return this.rebuild(options);
+  }
+
+  /**
+   * Loads a rebuild
+   * @param {string} runId - The rebuild
+   * @returns {Promise<Object>} The rebuild summary
+   */
+  async getRebuild(runId) {
+    const snap = await this.rebuildsRef.doc(runId).get();
+    if (!snap.exists) throw new Error("Rollup rebuild not found");
+    return serializeRebuild(snap);
+  }
+}
+
+module.exports = {
+  Rollups,
+  periodKeys,
+  fieldKey,
+  nest,
+  transactionMetrics,
+};
@@ -0,0 +1,233 @@
+const admin = require("firebase-admin");
+const { periodKeys } = require("./rollups");
+
+const NAIROBI_OFFSET = "+03:00"; // slot times are Nairobi wall-clock times (UTC+3, no DST)
+const EARTH_RADIUS_KM = 6371;
+const MAX_AVAILABILITY_DAYS = 31;
+
+/**
+ * Raised when a pickup slot cannot be booked
+ */
+class SchedulingError extends Error {
+  /**
+   * @param {string} code - ZONE_NOT_FOUND, NO_ZONE, ZONE_MISMATCH, SLOT_NOT_FOUND, SLOT_IN_PAST or SLOT_FULL
+   * @param {string} message - Human readable reason
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "SchedulingError";
+    this.code = code;
+  }
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Kilometres
+ */
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Orders stops for a day's route. Stops are visited slot by slot (earliest first); within a slot the
+ * nearest unvisited stop comes next. Stops without coordinates go last, in slot order.
+ * @param {Array} stops - Objects with location { lat, lng } and an optional sortable slotStart
+ * @param {Object} origin - { lat, lng } to start from; defaults to the first stop
+ * @returns {Object} { stops: [{ ...stop, sequence, legKm }], unrouted, totalKm }
+ */
+function orderRoute(stops, origin = null) {
+  const located = stops.filter((s) => s.location && typeof s.location.lat === "number" && typeof s.location.lng === "number");
+  const unrouted = stops.filter((s) => !located.includes(s));
+  const groups = new Map();
+  located.forEach((s) => {
+    const key = s.slotStart || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  });
+
+  const ordered = [];
+  let position = origin;
+  let totalKm = 0;
+  [...groups.keys()].sort().forEach((key) => {
+    const remaining = [...groups.get(key)];
+    while (remaining.length) {
+      let best = 0;
+      if (position) {
+        remaining.forEach((s, i) => {
+          if (distanceKm(position, s.location) < distanceKm(position, remaining[best].location)) best = i;
+        });
+      }
+      const [next] = remaining.splice(best, 1);
+      const legKm = position ? distanceKm(position, next.location) : 0;
+      totalKm += legKm;
+      ordered.push({ ...next, sequence: ordered.length + 1, legKm: Math.round(legKm * 100) / 100 });
+      position = next.location;
+    }
+  });
+  return {
+    stops: ordered,
+    unrouted: unrouted.sort((a, b) => String(a.slotStart || "").localeCompare(String(b.slotStart || ""))),
+    totalKm: Math.round(totalKm * 100) / 100,
+  };
+}
+
+class Scheduling {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.zonesRef = db.collection("service_zones");
+    this.bookingsRef = db.collection("slot_bookings");
+  }
+
+  /**
+   * Lists service zones
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Zones with their ids
+   */
+  async listZones({ includeInactive = false } = {}) {
+    const snap = await this.zonesRef.get();
+    return snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((z) => includeInactive || z.active !== false);
+  }
+
+  /**
+   * Creates or updates a zone
+   * @param {string} zoneId - Zone id; also the zone name pricing rules use
+   * @param {Object} zone - { name, active, center, radiusKm, days, slots }
+   * @param {string} updatedBy - uid of the admin
+   * @returns {Promise<Object>} The zone
+   */
+  async saveZone(zoneId, zone, updatedBy) {
+    await this.zonesRef.doc(zoneId).set({
+      ...zone,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    const snap = await this.zonesRef.doc(zoneId).get();
+    return { id: zoneId, ...snap.data() };
+  }
+
+  /**
+   * Finds the active zone covering a location: the nearest zone whose radius contains it
+   * @param {Object} location - { lat, lng }
+   * @returns {Promise<string|null>} The zone id
+   */
+  async zoneFor(location) {
+    const zones = (await this.listZones()).filter((z) => z.center && z.radiusKm);
+    const covering = zones
+      .map((z) => ({ id: z.id, radiusKm: z.radiusKm, km: distanceKm(location, z.center) }))
+      .filter((z) => z.km <= z.radiusKm)
+      .sort((a, b) => a.km - b.km);
+    return covering.length ? covering[0].id : null;
+  }
+
+  /**
+   * Slot definitions a zone offers on a date
+   * @param {Object} zone - Zone data
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {Array} [{ start, end, capacity }]
+   */
+  slotsOn(zone, date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay() || 7; // ISO: Monday 1 ... Sunday 7
+    if (zone.days && zone.days.length && !zone.days.includes(weekday)) return [];
+    return [...(zone.slots || [])].sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  // One document per zone, date and slot start, holding the number of pickups booked
+  bookingRef(zoneId, date, start) {
+    return this.bookingsRef.doc(`${zoneId}_${date}_${start.replace(":", "")}`);
+  }
+
+  /**
+   * Open slots with their remaining capacity
+   * @param {string} zoneId - The zone
+   * @param {Object} options - { from: "YYYY-MM-DD" (default today), days (default 7) }
+   * @returns {Promise<Array>} [{ date, slots: [{ date, start, end, capacity, booked, available }] }]
+   */
+  async availability(zoneId, { from = null, days = 7 } = {}) {
+    const snap = await this.zonesRef.doc(zoneId).get();
+    if (!snap.exists || snap.data().active === false) throw new SchedulingError("ZONE_NOT_FOUND", "Zone not found");
+    const zone = snap.data();
+    const first = from || periodKeys(new Date()).day;
+    const dates = Array.from({ length: Math.min(days, MAX_AVAILABILITY_DAYS) }, (_, i) =>
+      new Date(Date.parse(`${first}T00:00:00Z`) + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+
+    const wanted = dates.flatMap((date) => this.slotsOn(zone, date).map((slot) => ({ date, ...slot })));
+    const bookings = wanted.length
+      ? await this.db.getAll(...wanted.map((s) => this.bookingRef(zoneId, s.date, s.start)))
+      : [];
+    const now = Date.now();
+    return dates.map((date) => ({
+      date,
+      slots: wanted
+        .map((s, i) => ({ ...s, booked: bookings[i].exists ? bookings[i].data().count || 0 : 0 }))
+        .filter((s) => s.date === date && Date.parse(`${s.date}T${s.start}:00${NAIROBI_OFFSET}`) > now)
+        .map((s) => ({ ...s, available: Math.max(0, s.capacity - s.booked) })),
+    }));
+  }
+
+  /**
+   * Books a slot inside a transaction. Reads first, then writes; call before the transaction's other writes.
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} booking
+   * @param {string} booking.zoneId - The zone
+   * @param {string} booking.date - "YYYY-MM-DD" (Nairobi)
+   * @param {string} booking.start - Slot start, "HH:MM"
+   * @param {boolean} booking.force - Admins may overbook a full slot
+   * @returns {Promise<Object>} Request fields: { zone, slot, scheduledFor }
+   */
+  async reserve(tx, { zoneId, date, start, force = false }) {
+    const zoneRef = this.zonesRef.doc(zoneId);
+    const bookingRef = this.bookingRef(zoneId, date, start);
+    const [zoneSnap, bookingSnap] = await Promise.all([tx.get(zoneRef), tx.get(bookingRef)]);
+    if (!zoneSnap.exists || zoneSnap.data().active === false) throw new SchedulingError("ZONE_NOT_FOUND", "Zone not found");
+    const slot = this.slotsOn(zoneSnap.data(), date).find((s) => s.start === start);
+    if (!slot) throw new SchedulingError("SLOT_NOT_FOUND", `No ${start} slot on ${date} in this zone`);
+    const scheduledFor = new Date(`${date}T${start}:00${NAIROBI_OFFSET}`);
+    if (scheduledFor.getTime() <= Date.now()) throw new SchedulingError("SLOT_IN_PAST", "That slot has already started");
+    const booked = bookingSnap.exists ? bookingSnap.data().count || 0 : 0;
+    if (booked >= slot.capacity && !force) throw new SchedulingError("SLOT_FULL", "That slot is fully booked");
+
+    tx.set(bookingRef, {
+      zoneId,
+      date,
+      start,
+      count: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return {
+      zone: zoneId,
+      slot: { date, start, end: slot.end },
+      scheduledFor: admin.firestore.Timestamp.fromDate(scheduledFor),
+    };
+  }
+
+  /**
+   * Frees the slot a request had booked (write only; safe after the transaction's reads)
+   * @param {FirebaseFirestore.Transaction} tx - The running transaction
+   * @param {Object} request - recycling_requests data
+   */
+  release(tx, request) {
+    if (!request.slot || !request.zone) return;
+    tx.set(this.bookingRef(request.zone, request.slot.date, request.slot.start), {
+      count: admin.firestore.FieldValue.increment(-1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+}
+
+module.exports = {
+  Scheduling,
+  SchedulingError,
+  orderRoute,
+  distanceKm,
+};
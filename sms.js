@@ -1,48 +1,77 @@
 const axios = require('axios');
+const AfricasTalking = require('africastalking');
 
-class SmsService {
-  constructor() {
-    this.apiKey = process.env.FASTMESSAGE_API_KEY;
-    this.partnerId = process.env.FASTMESSAGE_PARTNER_ID;
-    this.shortcode = process.env.FASTMESSAGE_SHORTCODE;
-    this.baseUrl = "https://sms.fastmessage.co.ke/api/services/sendsms";
+/**
+ * Converts an error thrown while calling a provider into the standard result shape
+ * @param {Error} error - The error raised by axios or the provider SDK
+ * @param {string} providerName - Name of the provider that raised the error
+ * @returns {Object} Response object with success status and details
+ */
+function toErrorResult(error, providerName) {
+  if (error && error.response) {
+    // The request was made and the server responded with a status code
+    return {
+      success: false,
+      statusCode: error.response.status,
+      message: error.response.data?.message || 'API request failed',
+      data: error.response.data,
+      provider: providerName
+    };
+  } else if (error && error.request) {
+    // The request was made but no response was received
+    return {
+      success: false,
+      statusCode: 0,
+      message: 'Network error: No response from server',
+      data: null,
+      provider: providerName
+    };
+  }
+  // Something happened in setting up the request
+  return {
+    success: false,
+    statusCode: 0,
+    message: `Error sending SMS: ${error && error.message ? error.message : error}`,
+    data: null,
+    provider: providerName
+  };
+}
+
+/**
+ * SMS provider backed by the FastMessage `sendsms` endpoint
+ */
+class FastMessageProvider {
+  constructor(config = {}) {
+    this.name = 'fastmessage';
+    this.apiKey = config.apiKey || process.env.FASTMESSAGE_API_KEY;
+    this.partnerId = config.partnerId || process.env.FASTMESSAGE_PARTNER_ID;
+    this.shortcode = config.shortcode || process.env.FASTMESSAGE_SHORTCODE;
+    this.baseUrl = config.baseUrl || "https://sms.fastmessage.co.ke/api/services/sendsms";
   }
 
   /**
-   * Sends an SMS message to the specified mobile number
-   * @param {string} mobile - The recipient's mobile number (e.g., "254758277793")
+   * Whether the provider has the credentials it needs to send
+   * @returns {boolean} True when the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.apiKey && this.partnerId && this.shortcode);
+  }
+
+  /**
+   * Sends an SMS message through FastMessage
+   * @param {string} mobile - The recipient's mobile number, already formatted as 254XXXXXXXXX
    * @param {string} message - The SMS message content
    * @returns {Promise<Object>} Response object with success status and details
    */
-  async sendSms(mobile, message) {
+  async send(mobile, message) {
     try {
-      if (!mobile || !message) {
-        return {
-          success: false,
-          statusCode: 400,
-          message: 'Mobile number and message are required',
-          data: null
-        };
-      }
-
-      // Format and validate mobile number
-      const formattedMobile = this.formatMobileNumber(mobile);
-      if (!this.isValidMobileNumber(formattedMobile)) {
-        return {
-          success: false,
-          statusCode: 400,
-          message: 'Invalid mobile number format',
-          data: null
-        };
-      }
-
       // Prepare the request body
       const requestBody = {
         apikey: this.apiKey,
         partnerID: this.partnerId,
         message: message,
         shortcode: this.shortcode,
-        mobile: formattedMobile,
+        mobile: mobile,
       };
 
       // Make the POST request
@@ -54,41 +83,254 @@ class SmsService {
         timeout: 30000 // 30 seconds timeout
       });
 
+      const first = Array.isArray(response.data?.responses) ? response.data.responses[0] : null;
       return {
         success: true,
         statusCode: response.status,
         message: response.data.message || 'SMS sent successfully',
-        data: response.data
+        data: response.data,
+        provider: this.name,
+        messageId: first && first.messageid ? String(first.messageid) : null
       };
+    } catch (error) {
+      return toErrorResult(error, this.name);
+    }
+  }
+}
+
+/**
+ * SMS provider backed by the Africa's Talking SDK
+ */
+class AfricasTalkingProvider {
+  constructor(config = {}) {
+    this.name = 'africastalking';
+    this.username = config.username || process.env.AT_USERNAME;
+    this.apiKey = config.apiKey || process.env.AT_API_KEY;
+    this.senderId = config.senderId || process.env.AT_SENDER_ID;
+    this.client = null;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs to send
+   * @returns {boolean} True when the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.username && this.apiKey);
+  }
+
+  /**
+   * Lazily creates the SDK client so a missing configuration does not break startup
+   * @returns {Object} The Africa's Talking SMS client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = AfricasTalking({ username: this.username, apiKey: this.apiKey }).SMS;
+    }
+    return this.client;
+  }
 
+  /**
+   * Sends an SMS message through Africa's Talking
+   * @param {string} mobile - The recipient's mobile number, already formatted as 254XXXXXXXXX
+   * @param {string} message - The SMS message content
+   * @returns {Promise<Object>} Response object with success status and details
+   */
+  async send(mobile, message) {
+    try {
+      const params = { to: [`+${mobile}`], message };
+      if (this.senderId) params.from = this.senderId;
+      const data = await this.getClient().send(params);
+      const recipient = data?.SMSMessageData?.Recipients?.[0];
+      // 100 = Processed, 101 = Sent, 102 = Queued
+      const accepted = recipient && [100, 101, 102].includes(Number(recipient.statusCode));
+      return {
+        success: Boolean(accepted),
+        statusCode: accepted ? 200 : 400,
+        message: recipient ? recipient.status : (data?.SMSMessageData?.Message || 'No recipient accepted'),
+        data,
+        provider: this.name,
+        messageId: recipient && recipient.messageId ? String(recipient.messageId) : null
+      };
     } catch (error) {
-      // Handle different types of errors
-      if (error.response) {
-        // The request was made and the server responded with a status code
+      // The SDK rejects with the raw response body when the API does not return 201
+      if (error && !(error instanceof Error) && !error.response) {
         return {
           success: false,
-          statusCode: error.response.status,
-          message: error.response.data?.message || 'API request failed',
-          data: error.response.data
-        };
-      } else if (error.request) {
-        // The request was made but no response was received
-        return {
-          success: false,
-          statusCode: 0,
-          message: 'Network error: No response from server',
-          data: null
-        };
-      } else {
-        // Something happened in setting up the request
-        return {
-          success: false,
-          statusCode: 0,
-          message: `Error sending SMS: ${error.message}`,
-          data: null
+          statusCode: 500,
+          message: 'API request failed',
+          data: error,
+          provider: this.name
         };
       }
+      return toErrorResult(error, this.name);
+    }
+  }
+}
+
+const PROVIDERS = {
+  fastmessage: FastMessageProvider,
+  africastalking: AfricasTalkingProvider,
+};
+
+/**
+ * Creates a provider instance by name
+ * @param {string} name - Provider name ("fastmessage" or "africastalking")
+ * @param {Object} config - Optional provider configuration overriding environment variables
+ * @returns {Object|null} The provider instance or null when the name is unknown
+ */
+function createProvider(name, config = {}) {
+  const Provider = PROVIDERS[String(name || '').trim().toLowerCase()];
+  return Provider ? new Provider(config) : null;
+}
+
+const SMS_PURPOSES = ['otp', 'credit', 'payout', 'broadcast', 'other'];
+
+class SmsService {
+  /**
+   * @param {Object} options - Optional provider overrides
+   * @param {Object} options.primary - Primary provider instance (defaults to SMS_PROVIDER, then FastMessage)
+   * @param {Object} options.secondary - Failover provider instance (defaults to SMS_FALLBACK_PROVIDER)
+   * @param {Function} options.logger - Optional outbound message logger (see setLogger)
+   */
+  constructor(options = {}) {
+    this.primary = options.primary || createProvider(process.env.SMS_PROVIDER || 'fastmessage') || new FastMessageProvider();
+    this.secondary = options.secondary !== undefined
+      ? options.secondary
+      : createProvider(process.env.SMS_FALLBACK_PROVIDER || '');
+    if (this.secondary && this.secondary.name === this.primary.name) {
+      this.secondary = null;
+    }
+    this.logger = options.logger || null;
+    this.templateRenderer = null;
+  }
+
+  /**
+   * Registers a callback that persists every outbound message
+   * @param {Function} logger - Async function receiving the log entry and resolving to its log ID
+   */
+  setLogger(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Registers the function used by sendTemplate() to render named templates
+   * @param {Function} renderer - Async function (name, vars, language) resolving to { body }
+   */
+  setTemplateRenderer(renderer) {
+    this.templateRenderer = renderer;
+  }
+
+  /**
+   * Renders a named template in the recipient's language and sends it
+   * @param {string} mobile - The recipient's mobile number
+   * @param {string} templateName - Name of the template to render
+   * @param {Object} vars - Values for the template placeholders
+   * @param {Object} meta - Log metadata as for sendSms(), plus an optional language
+   * @returns {Promise<Object>} Response object with success status and details
+   */
+  async sendTemplate(mobile, templateName, vars = {}, meta = {}) {
+    if (!this.templateRenderer) {
+      throw new Error('No template renderer configured');
+    }
+    const { language, ...logMeta } = meta;
+    const { body } = await this.templateRenderer(templateName, vars, language);
+    return this.sendSms(mobile, body, logMeta);
+  }
+
+  /**
+   * Sends an SMS message to the specified mobile number
+   * @param {string} mobile - The recipient's mobile number (e.g., "254758277793")
+   * @param {string} message - The SMS message content
+   * @param {Object} meta - Optional log metadata
+   * @param {string} meta.purpose - Why the message was sent ("otp", "credit", "payout", "broadcast")
+   * @param {string} meta.userId - The recipient's user ID when known
+   * @returns {Promise<Object>} Response object with success status and details
+   */
+  async sendSms(mobile, message, meta = {}) {
+    const formattedMobile = this.formatMobileNumber(mobile);
+    const result = await this.deliver(formattedMobile, message);
+    return this.logResult(result, formattedMobile, message, meta);
+  }
+
+  /**
+   * Validates the message and sends it through the primary provider, failing over when needed
+   * @param {string} formattedMobile - The recipient's mobile number formatted as 254XXXXXXXXX
+   * @param {string} message - The SMS message content
+   * @returns {Promise<Object>} Response object with success status and details
+   */
+  async deliver(formattedMobile, message) {
+    if (!formattedMobile || !message) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: 'Mobile number and message are required',
+        data: null
+      };
+    }
+
+    // Validate mobile number
+    if (!this.isValidMobileNumber(formattedMobile)) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: 'Invalid mobile number format',
+        data: null
+      };
     }
+
+    const result = await this.primary.send(formattedMobile, message);
+    if (result.success || !this.shouldFailover(result) || !this.secondary || !this.secondary.isConfigured()) {
+      return result;
+    }
+
+    console.warn(`⚠️ SMS provider ${this.primary.name} failed (${result.statusCode}: ${result.message}); failing over to ${this.secondary.name}`);
+    const fallbackResult = await this.secondary.send(formattedMobile, message);
+    return {
+      ...fallbackResult,
+      failover: true,
+      primaryError: { provider: this.primary.name, statusCode: result.statusCode, message: result.message }
+    };
+  }
+
+  /**
+   * Passes the send result to the registered logger; logging failures never fail the send
+   * @param {Object} result - The result returned by deliver()
+   * @param {string} formattedMobile - The recipient's formatted mobile number
+   * @param {string} message - The SMS message content
+   * @param {Object} meta - Log metadata passed to sendSms()
+   * @returns {Promise<Object>} The result, with logId when the entry was stored
+   */
+  async logResult(result, formattedMobile, message, meta) {
+    if (!this.logger) return result;
+    const purpose = meta.purpose || 'other';
+    try {
+      const logId = await this.logger({
+        mobile: formattedMobile,
+        // Never persist one-time codes
+        message: purpose === 'otp' ? String(message || '').replace(/\d{4,}/g, (m) => '*'.repeat(m.length)) : message,
+        purpose,
+        userId: meta.userId || null,
+        provider: result.provider || null,
+        providerMessageId: result.messageId || null,
+        status: result.success ? 'sent' : 'failed',
+        statusCode: result.statusCode,
+        error: result.success ? null : result.message,
+        failover: result.failover === true
+      });
+      return { ...result, logId };
+    } catch (error) {
+      console.error('❌ SMS log error:', error.message);
+      return result;
+    }
+  }
+
+  /**
+   * Whether a failed result should be retried on the secondary provider
+   * @param {Object} result - The result returned by a provider
+   * @returns {boolean} True for network errors (no status) and 5xx responses
+   */
+  shouldFailover(result) {
+    return result.statusCode === 0 || result.statusCode >= 500;
   }
 
   /**
@@ -129,10 +371,36 @@ class SmsService {
 
   /**
    * Sends multiple SMS messages (bulk SMS)
-   * @param {Array} recipients - Array of objects with mobile and message properties
-   * @returns {Promise<Array>} Array of response objects
+   * @param {Array} recipients - Array of objects with mobile and message properties (and optional userId, purpose)
+   * @param {Object} options - Optional throttling settings
+   * @param {string} options.purpose - Log purpose for recipients that do not set their own
+   * @param {number} options.batchSize - Messages sent concurrently per batch (defaults to SMS_BULK_BATCH_SIZE or 10)
+   * @param {number} options.delayMs - Pause between batches in milliseconds (defaults to SMS_BULK_DELAY_MS or 1000)
+   * @returns {Promise<Array>} Array of response objects, one per recipient in input order
    */
+  async sendBulkSms(recipients, options = {}) {
+    if (!Array.isArray(recipients) || recipients.length === 0) return [];
+
+    const batchSize = Math.max(1, parseInt(options.batchSize || process.env.SMS_BULK_BATCH_SIZE, 10) || 10);
+    const parsedDelay = parseInt(options.delayMs ?? process.env.SMS_BULK_DELAY_MS, 10);
+    const delayMs = Number.isNaN(parsedDelay) ? 1000 : Math.max(0, parsedDelay);
 
+    const results = [];
+    for (let i = 0; i < recipients.length; i += batchSize) {
+      if (i > 0 && delayMs > 0) {
+        // Throttle between batches to stay within provider rate limits
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+      const batch = recipients.slice(i, i + batchSize);
+      const batchResults = await Promise.all(batch.map(async (recipient) => {
+        const { mobile, message, userId, purpose } = recipient || {};
+        const result = await this.sendSms(mobile, message, { userId, purpose: purpose || options.purpose });
+        return { mobile, ...result };
+      }));
+      results.push(...batchResults);
+    }
+    return results;
+  }
 }
 
 // Create a singleton instance
@@ -141,5 +409,9 @@ const smsService = new SmsService();
 // Export the service instance and the class
 module.exports = {
   SmsService,
+  FastMessageProvider,
+  AfricasTalkingProvider,
+  createProvider,
+  SMS_PURPOSES,
   smsService
-};
\ No newline at end of file
+};
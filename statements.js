@@ -0,0 +1,172 @@
+const { toCents } = require("./ledger");
+const { BALANCE_TRANSACTION_TYPES } = require("./audit");
+const { ImpactFactors, computeImpact, parseRecycleCredit } = require("./impact");
+const { textPdf } = require("./pdf");
+
+// Same columns as /transactions/export, plus the running balance
+const CSV_COLUMNS = ["id", "type", "status", "amount", "balance", "wasteType", "weight", "phone", "details", "relatedRequest", "timestamp"];
+
+/**
+ * Quotes a value for CSV
+ * @param {*} val - Any value
+ * @returns {string}
+ */
+function csvCell(val) {
+  if (val === null || val === undefined) return "";
+  return `"${String(val).replace(/"/g, '""')}"`;
+}
+
+class StatementService {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance
+   * @param {ImpactFactors} impactFactors - Used for credits recorded before impact was stored
+   */
+  constructor(db, impactFactors) {
+    this.usersRef = db.collection("users");
+    this.walletRef = db.collection("wallet_transactions");
+    this.impactFactors = impactFactors;
+  }
+
+  /**
+   * Builds a user's statement for a period: opening balance, each money movement with the
+   * running balance, closing balance, and kg and CO2 recycled in the period
+   * @param {string} userId - The user
+   * @param {Object} period - { start, end } as Dates (end exclusive) and label: { start, end, tz } as shown to the user
+   * @returns {Promise<Object>} The statement
+   */
+  async build(userId, { start, end, label }) {
+    const [userSnap, txSnap, factors] = await Promise.all([
+      this.usersRef.doc(userId).get(),
+      this.walletRef.where("userId", "==", userId).get(),
+      this.impactFactors.loadAll(),
+    ]);
+    if (!userSnap.exists) throw new Error("User not found");
+
+    const movements = txSnap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((it) => BALANCE_TRANSACTION_TYPES.includes(it.type) && it.timestamp && it.timestamp.toDate)
+      .sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis());
+
+    let balanceCents = 0;
+    const totals = { credits: 0, withdrawals: 0, refunds: 0, fees: 0, adjustments: 0, redemptions: 0, referrals: 0 };
+    const impact = { kg: 0, co2: 0 };
+    const lines = [];
+    const localDate = new Intl.DateTimeFormat("en-CA", { timeZone: label.tz }); // en-CA formats as YYYY-MM-DD
+    movements.forEach((it) => {
+      const at = it.timestamp.toDate();
+      if (at >= end) return;
+      const cents = toCents(it.amount || 0);
+      balanceCents += cents;
+      if (at < start) return;
+
+      const key = {
+        "Recycle Credit": "credits",
+        Withdraw: "withdrawals",
+        Refund: "refunds",
+        Fee: "fees",
+        Adjustment: "adjustments",
+        "Points Redemption": "redemptions",
+        "Referral Bonus": "referrals",
+      }[it.type];
+      totals[key] += cents;
+      if (it.type === "Recycle Credit") {
+        const { kg, wasteType } = parseRecycleCredit(it);
+        impact.kg += kg;
+        impact.co2 += it.impact ? it.impact.co2Saved || 0 : computeImpact(ImpactFactors.resolve(factors, wasteType), kg).co2Saved;
+      }
+      lines.push({ ...it, timestamp: at.toISOString(), date: localDate.format(at), balance: balanceCents / 100 });
+    });
+    const closingCents = balanceCents;
+    const openingCents = closingCents - Object.values(totals).reduce((sum, c) => sum + c, 0);
+
+    const user = userSnap.data();
+    return {
+      userId,
+      name: user.name || user.displayName || null,
+      phone: user.phoneNumber || null,
+      period: label,
+      openingBalance: openingCents / 100,
+      closingBalance: closingCents / 100,
+      totals: Object.fromEntries(Object.entries(totals).map(([k, c]) => [k, c / 100])),
+      recycledKg: Math.round(impact.kg * 1000) / 1000,
+      co2Saved: Math.round(impact.co2 * 1000) / 1000,
+      transactions: lines,
+      generatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Renders a statement as CSV: a summary block, then one row per transaction
+   * @param {Object} statement - From build()
+   * @returns {string}
+   */
+  toCsv(statement) {
+    const summary = [
+      ["userId", statement.userId],
+      ["periodStart", statement.period.start],
+      ["periodEnd", statement.period.end],
+      ["timeZone", statement.period.tz],
+      ["openingBalance", statement.openingBalance],
+      ["closingBalance", statement.closingBalance],
+      ["totalCredits", statement.totals.credits],
+      ["totalWithdrawals", statement.totals.withdrawals],
+      ["totalRefunds", statement.totals.refunds],
+      ["totalFees", statement.totals.fees],
+      ["totalAdjustments", statement.totals.adjustments],
+      ["totalRedemptionCredit", statement.totals.redemptions],
+      ["totalReferralBonuses", statement.totals.referrals],
+      ["recycledKg", statement.recycledKg],
+      ["co2SavedKg", statement.co2Saved],
+    ].map((row) => row.map(csvCell).join(","));
+    const rows = statement.transactions.map((it) => CSV_COLUMNS.map((c) => csvCell(it[c])).join(","));
+    return [...summary, "", CSV_COLUMNS.join(","), ...rows].join("\n");
+  }
+
+  /**
+   * Renders a statement as a PDF
+   * @param {Object} statement - From build()
+   * @returns {Buffer}
+   */
+  toPdf(statement) {
+    const money = (v) => (v < 0 ? "-" : "") + Math.abs(v).toFixed(2);
+    const row = (date, type, detail, amount, balance) =>
+      `${date.padEnd(11)}${type.padEnd(15)}${detail.slice(0, 32).padEnd(33)}${amount.padStart(12)}${balance.padStart(13)}`;
+    const lines = [
+      "WALLET STATEMENT",
+      "",
+      `Account:  ${statement.name ? `${statement.name} ` : ""}${statement.userId}`,
+      ...(statement.phone ? [`Phone:    ${statement.phone}`] : []),
+      `Period:   ${statement.period.start} to ${statement.period.end} (${statement.period.tz})`,
+      `Issued:   ${statement.generatedAt.slice(0, 10)}`,
+      "",
+      row("Date", "Type", "Details", "Amount (KES)", "Balance (KES)"),
+      "-".repeat(84),
+      row("", "", "Opening balance", "", money(statement.openingBalance)),
+      ...statement.transactions.map((it) => row(
+        it.date,
+        { "Recycle Credit": "Credit", "Points Redemption": "Points", "Referral Bonus": "Referral" }[it.type] || it.type,
+        String(it.details || it.status || ""),
+        money(it.amount || 0),
+        money(it.balance),
+      )),
+      row("", "", "Closing balance", "", money(statement.closingBalance)),
+      "-".repeat(84),
+      "",
+      `Credits:      ${money(statement.totals.credits)}`,
+      `Withdrawals:  ${money(statement.totals.withdrawals)}`,
+      `Refunds:      ${money(statement.totals.refunds)}`,
+      `Fees:         ${money(statement.totals.fees)}`,
+      ...(statement.totals.redemptions ? [`Redemptions:  ${money(statement.totals.redemptions)}`] : []),
+      ...(statement.totals.referrals ? [`Referrals:    ${money(statement.totals.referrals)}`] : []),
+      ...(statement.totals.adjustments ? [`Adjustments:  ${money(statement.totals.adjustments)}`] : []),
+      "",
+      `Recycled:     ${statement.recycledKg} kg`,
+      `CO2 saved:    ${statement.co2Saved} kg`,
+    ];
+    return textPdf(lines, { title: `Wallet statement ${statement.userId}` });
+  }
+}
+
+module.exports = {
+  StatementService,
+};
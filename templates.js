@@ -0,0 +1,197 @@
+const admin = require("firebase-admin");
+
+const SUPPORTED_LANGUAGES = ["en", "sw"];
+const DEFAULT_LANGUAGE = "en";
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Built-in copy; documents in message_templates/{name} override these per language
+const DEFAULT_TEMPLATES = {
+  otp: {
+    en: { body: "Your verification code is {{otp}}" },
+    sw: { body: "Nambari yako ya uthibitisho ni {{otp}}" },
+  },
+  new_pickup_request: {
+    en: { title: "New Pickup Request", body: "User {{userId}} requested pickup{{wasteTypeSuffix}}" },
+    sw: { title: "Ombi Jipya la Kuchukua Taka", body: "Mtumiaji {{userId}} ameomba taka zichukuliwe{{wasteTypeSuffix}}" },
+  },
+  pickup_accepted: {
+    en: { title: "Pickup Accepted", body: "Your pickup request{{wasteTypeSuffix}} was accepted." },
+    sw: { title: "Ombi Limekubaliwa", body: "Ombi lako la kuchukua taka{{wasteTypeSuffix}} limekubaliwa." },
+  },
+  pickup_scheduled: {
+    en: { title: "Pickup Scheduled", body: "Your pickup{{wasteTypeSuffix}} is scheduled for {{scheduledFor}}." },
+    sw: { title: "Uchukuaji Umepangwa", body: "Taka zako{{wasteTypeSuffix}} zitachukuliwa {{scheduledFor}}." },
+  },
+  pickup_cancelled: {
+    en: { title: "Pickup Cancelled", body: "Your pickup request{{wasteTypeSuffix}} was cancelled. {{reason}}" },
+    sw: { title: "Ombi Limeghairiwa", body: "Ombi lako la kuchukua taka{{wasteTypeSuffix}} limeghairiwa. {{reason}}" },
+  },
+  pickup_cancelled_admin: {
+    en: { title: "Pickup Cancelled", body: "User {{userId}} cancelled pickup request {{requestId}}" },
+    sw: { title: "Ombi Limeghairiwa", body: "Mtumiaji {{userId}} ameghairi ombi {{requestId}}" },
+  },
+  recycling_completed: {
+    en: { title: "Recycling Completed", body: "Credited {{amount}} for {{weight}}kg of {{wasteType}}" },
+    sw: { title: "Urejelezaji Umekamilika", body: "Umewekewa {{amount}} kwa {{weight}}kg za {{wasteType}}" },
+  },
+  request_completed_admin: {
+    en: { title: "Request Completed", body: "User {{userId}} credited {{amount}} ({{weight}}kg {{wasteType}})" },
+    sw: { title: "Ombi Limekamilika", body: "Mtumiaji {{userId}} amewekewa {{amount}} ({{weight}}kg {{wasteType}})" },
+  },
+  withdrawal_approval_required: {
+    en: { title: "Withdrawal Needs Approval", body: "User {{userId}} requested a withdrawal of {{amount}}" },
+    sw: { title: "Utoaji Unahitaji Idhini", body: "Mtumiaji {{userId}} ameomba kutoa {{amount}}" },
+  },
+  withdrawal_approved: {
+    en: { title: "Withdrawal Approved", body: "Your withdrawal of {{amount}} was approved and is being sent to M-Pesa." },
+    sw: { title: "Utoaji Umeidhinishwa", body: "Utoaji wako wa {{amount}} umeidhinishwa na unatumwa kwa M-Pesa." },
+  },
+  withdrawal_rejected: {
+    en: { title: "Withdrawal Declined", body: "Your withdrawal of {{amount}} was declined and refunded to your wallet. {{reason}}" },
+    sw: { title: "Utoaji Umekataliwa", body: "Utoaji wako wa {{amount}} umekataliwa na pesa zimerudishwa kwenye pochi yako. {{reason}}" },
+  },
+  payout_completed: {
+    en: { title: "Withdrawal Sent", body: "Your withdrawal of {{amount}} has been sent to M-Pesa." },
+    sw: { title: "Utoaji Umetumwa", body: "Utoaji wako wa {{amount}} umetumwa kwa M-Pesa." },
+  },
+  payout_failed: {
+    en: { title: "Withdrawal Failed", body: "Your withdrawal of {{amount}} could not be sent and was refunded to your wallet." },
+    sw: { title: "Utoaji Haukufaulu", body: "Utoaji wako wa {{amount}} haukuweza kutumwa na pesa zimerudishwa kwenye pochi yako." },
+  },
+  badge_earned: {
+    en: { title: "Badge Earned", body: "You earned the {{badge}} badge. Keep recycling!" },
+    sw: { title: "Umepata Beji", body: "Umepata beji ya {{badge}}. Endelea kurejeleza!" },
+  },
+  pickup_rescheduled: {
+    en: { title: "Pickup Rescheduled", body: "Your pickup{{wasteTypeSuffix}} has moved to {{scheduledFor}}." },
+    sw: { title: "Uchukuaji Umehamishwa", body: "Uchukuaji wa taka zako{{wasteTypeSuffix}} umehamishwa hadi {{scheduledFor}}." },
+  },
+  pickup_assigned: {
+    en: { title: "New Pickup Assigned", body: "You have been assigned a pickup{{wasteTypeSuffix}}{{addressSuffix}}" },
+    sw: { title: "Kazi Mpya ya Kuchukua", body: "Umepewa kazi ya kuchukua taka{{wasteTypeSuffix}}{{addressSuffix}}" },
+  },
+  referral_bonus: {
+    en: { title: "Referral Bonus", body: "You received a referral bonus of {{amount}}." },
+    sw: { title: "Bonasi ya Rufaa", body: "Umepokea bonasi ya rufaa ya {{amount}}." },
+  },
+};
+
+/**
+ * Replaces {{variable}} placeholders; unknown variables render as an empty string.
+ * The older single-brace {variable} form (first used by broadcasts) is still accepted, but only for
+ * known variables, so other text in braces is left alone.
+ * @param {string} text - Template text
+ * @param {Object} vars - Values keyed by variable name
+ * @returns {string} The interpolated text
+ */
+function interpolate(text, vars = {}) {
+  if (text === undefined || text === null) return text;
+  const has = (key) => vars[key] !== undefined && vars[key] !== null;
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}|\{(\w+)\}/g, (match, key, legacyKey) => {
+    if (key) return has(key) ? String(vars[key]) : "";
+    return has(legacyKey) ? String(vars[legacyKey]) : match;
+  });
+}
+
+/**
+ * Picks a supported language code, falling back to English
+ * @param {string} language - Requested language (e.g. "sw", "SW", "sw-KE")
+ * @returns {string} A supported language code
+ */
+function resolveLanguage(language) {
+  const code = String(language || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+class TemplateService {
+  /**
+   * @param {FirebaseFirestore.Firestore} db - Firestore instance holding the message_templates collection
+   */
+  constructor(db) {
+    this.templatesRef = db.collection("message_templates");
+    this.cache = new Map();
+  }
+
+  /**
+   * Loads a template override from Firestore, cached for a few minutes
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>} The override document data or null
+   */
+  async getOverride(name) {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+    const snap = await this.templatesRef.doc(name).get();
+    const value = snap.exists ? snap.data() : null;
+    this.cache.set(name, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  /**
+   * Whether a template exists, built in or stored
+   * @param {string} name - Template name
+   * @returns {Promise<boolean>}
+   */
+  async exists(name) {
+    return Boolean(DEFAULT_TEMPLATES[name] || (await this.getOverride(name)));
+  }
+
+  /**
+   * Renders a named template in the requested language
+   * @param {string} name - Template name (e.g. "otp", "recycling_completed")
+   * @param {Object} vars - Values for {{variable}} placeholders
+   * @param {string} language - Preferred language; falls back to English when the template has no translation
+   * @returns {Promise<Object>} Object with title (push only) and body
+   */
+  async render(name, vars = {}, language = DEFAULT_LANGUAGE) {
+    const lang = resolveLanguage(language);
+    const override = await this.getOverride(name);
+    const defaults = DEFAULT_TEMPLATES[name];
+    const entry = (override && override[lang]) || (defaults && defaults[lang]) ||
+      (override && override[DEFAULT_LANGUAGE]) || (defaults && defaults[DEFAULT_LANGUAGE]);
+    if (!entry || !entry.body) {
+      throw new Error(`Unknown template: ${name}`);
+    }
+    const rendered = { body: interpolate(entry.body, vars) };
+    if (entry.title) rendered.title = interpolate(entry.title, vars);
+    return rendered;
+  }
+
+  /**
+   * Lists built-in templates merged with their Firestore overrides
+   * @returns {Promise<Array>} Array of { name, defaults, override }
+   */
+  async list() {
+    const snap = await this.templatesRef.get();
+    const overrides = Object.fromEntries(snap.docs.map((d) => [d.id, d.data()]));
+    const names = [...new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(overrides)])].sort();
+    return names.map((name) => ({
+      name,
+      defaults: DEFAULT_TEMPLATES[name] || null,
+      override: overrides[name] || null,
+    }));
+  }
+
+  /**
+   * Stores an override for a template and drops it from the cache
+   * @param {string} name - Template name
+   * @param {Object} translations - Per-language { title, body } objects
+   * @param {string} updatedBy - uid of the admin making the change
+   * @returns {Promise<void>}
+   */
+  async save(name, translations, updatedBy) {
+    await this.templatesRef.doc(name).set({
+      ...translations,
+      updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    this.cache.delete(name);
+  }
+}
+
+module.exports = {
+  TemplateService,
+  interpolate,
+  resolveLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_TEMPLATES,
+};